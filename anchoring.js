@@ -0,0 +1,582 @@
+// Text anchoring based on W3C Web Annotation selectors.
+// A highlight group stores a TextQuoteSelector (exact text with surrounding context)
+// and a TextPositionSelector (character offsets into the body text) so it can be
+// found again regardless of layout, fonts or window width.
+
+// Number of context characters stored before and after the quoted text
+const QUOTE_CONTEXT_LENGTH = 32;
+
+// Elements whose text is never part of the readable page text
+const NON_TEXT_TAGS = ['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEXTAREA', 'TEMPLATE'];
+
+// Extension UI that is appended to the page but is not page content
+const EXTENSION_UI_SELECTOR = [
+  '.text-highlighter-controls',
+  '.text-highlighter-minimap',
+  '.custom-color-picker',
+  '.text-highlighter-selection-icon',
+  '.text-highlighter-resize-handle',
+  '.text-highlighter-toast'
+].join(', ');
+
+/**
+ * Flat index of the text nodes under a root element.
+ * `text` is the concatenation of every indexed text node, and each entry maps
+ * a node to its [start, end) character range inside `text`.
+ */
+class TextIndex {
+  constructor(root) {
+    this.root = root;
+    this.text = '';
+    this.entries = [];
+    this.build();
+  }
+
+  // Collect text nodes in document order
+  build() {
+    const walker = document.createTreeWalker(
+      this.root,
+      NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT,
+      {
+        acceptNode: function (node) {
+          if (node.nodeType === Node.TEXT_NODE) {
+            return NodeFilter.FILTER_ACCEPT;
+          }
+          if (NON_TEXT_TAGS.includes(node.tagName) || node.matches(EXTENSION_UI_SELECTOR)) {
+            return NodeFilter.FILTER_REJECT;
+          }
+          return NodeFilter.FILTER_SKIP;
+        }
+      }
+    );
+
+    const parts = [];
+    let offset = 0;
+    let node;
+    while ((node = walker.nextNode())) {
+      const length = node.nodeValue.length;
+      if (length === 0) continue;
+      this.entries.push({ node, start: offset, end: offset + length });
+      parts.push(node.nodeValue);
+      offset += length;
+    }
+    this.text = parts.join('');
+  }
+
+  // Binary search for the entry containing the character at `offset`
+  findEntryIndex(offset) {
+    let low = 0;
+    let high = this.entries.length - 1;
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      const entry = this.entries[mid];
+      if (offset < entry.start) {
+        high = mid - 1;
+      } else if (offset >= entry.end) {
+        low = mid + 1;
+      } else {
+        return mid;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * Convert a DOM boundary point (as found in a Range) to a character offset.
+   * @param {Node} container - Boundary container
+   * @param {number} offset - Boundary offset inside the container
+   * @returns {number} Character offset into `text`
+   */
+  offsetOf(container, offset) {
+    if (container.nodeType === Node.TEXT_NODE) {
+      const entry = this.entries.find(e => e.node === container);
+      if (entry) return entry.start + Math.min(offset, entry.end - entry.start);
+    }
+
+    // Element boundary (or unindexed text node): use the first indexed text node after the point
+    const boundary = document.createRange();
+    boundary.setStart(container, offset);
+    boundary.collapse(true);
+
+    let low = 0;
+    let high = this.entries.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (boundary.comparePoint(this.entries[mid].node, 0) < 0) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    return low < this.entries.length ? this.entries[low].start : this.text.length;
+  }
+
+  /**
+   * Make sure a text node boundary exists at `offset`, splitting a text node if needed.
+   * @param {number} offset - Character offset into `text`
+   * @returns {number} Index of the first entry starting at or after `offset`
+   */
+  splitAt(offset) {
+    const entryIndex = this.findEntryIndex(offset);
+    if (entryIndex === -1) return this.entries.length;
+
+    const entry = this.entries[entryIndex];
+    if (entry.start === offset) return entryIndex;
+
+    const tail = entry.node.splitText(offset - entry.start);
+    this.entries.splice(entryIndex + 1, 0, { node: tail, start: offset, end: entry.end });
+    entry.end = offset;
+    return entryIndex + 1;
+  }
+
+  // Whether the text nodes covering [start, end) are still attached and hold the indexed text
+  isIntact(start, end) {
+    const first = this.findEntryIndex(start);
+    const last = this.findEntryIndex(Math.max(start, end - 1));
+    if (first === -1 || last === -1) return false;
+    for (let i = first; i <= last; i++) {
+      const entry = this.entries[i];
+      if (!entry.node.isConnected || entry.node.nodeValue !== this.text.slice(entry.start, entry.end)) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  // Create a DOM Range covering [start, end)
+  toRange(start, end) {
+    const range = document.createRange();
+    const startEntry = this.entries[this.findEntryIndex(start)];
+    const endEntry = this.entries[this.findEntryIndex(Math.max(start, end - 1))];
+    if (!startEntry || !endEntry) return null;
+    range.setStart(startEntry.node, start - startEntry.start);
+    range.setEnd(endEntry.node, end - endEntry.start);
+    return range;
+  }
+
+  /**
+   * Wrap every text node segment in [start, end) with an element.
+   * Whitespace-only segments are left untouched.
+   * @param {number} start - Start offset
+   * @param {number} end - End offset
+   * @param {Function} createWrapper - Called with the segment number, returns the wrapper element
+   * @returns {Array} Wrapper elements in document order
+   */
+  wrap(start, end, createWrapper) {
+    const wrappers = [];
+    if (end <= start) return wrappers;
+
+    const first = this.splitAt(start);
+    const last = this.splitAt(end);
+    for (let i = first; i < last; i++) {
+      const node = this.entries[i].node;
+      if (node.nodeValue.trim() === '') continue;
+      const wrapper = createWrapper(wrappers.length);
+      node.parentNode.insertBefore(wrapper, node);
+      wrapper.appendChild(node);
+      wrappers.push(wrapper);
+    }
+    return wrappers;
+  }
+}
+
+// Find a selector of the given type in a selector list
+function findSelector(selectors, type) {
+  if (!Array.isArray(selectors)) return null;
+  return selectors.find(selector => selector && selector.type === type) || null;
+}
+
+/**
+ * Describe [start, end) of the index text with quote and position selectors.
+ * @param {TextIndex} index - Text index the offsets refer to
+ * @param {number} start - Start offset
+ * @param {number} end - End offset
+ * @returns {Array} W3C-style selector list
+ */
+function describeTextRange(index, start, end) {
+  return [
+    {
+      type: 'TextQuoteSelector',
+      exact: index.text.slice(start, end),
+      prefix: index.text.slice(Math.max(0, start - QUOTE_CONTEXT_LENGTH), start),
+      suffix: index.text.slice(end, end + QUOTE_CONTEXT_LENGTH)
+    },
+    {
+      type: 'TextPositionSelector',
+      start,
+      end
+    }
+  ];
+}
+
+// Number of equal characters at the end of two strings
+function commonSuffixLength(a, b) {
+  let length = 0;
+  while (length < a.length && length < b.length &&
+    a[a.length - 1 - length] === b[b.length - 1 - length]) {
+    length++;
+  }
+  return length;
+}
+
+// Number of equal characters at the start of two strings
+function commonPrefixLength(a, b) {
+  let length = 0;
+  while (length < a.length && length < b.length && a[length] === b[length]) {
+    length++;
+  }
+  return length;
+}
+
+/**
+ * Find the text described by a selector list in the index.
+ * The position selector is trusted when the quote is still at that offset; otherwise
+ * every exact occurrence of the quote is scored by how much of its stored context
+ * matches, with ties going to the occurrence nearest the stored position.
+ * @param {TextIndex} index - Text index to search
+ * @param {Array} selectors - Selector list created by describeTextRange
+ * @returns {Object|null} { start, end } offsets, or null if the quote was not found
+ */
+function anchorSelectors(index, selectors) {
+  const quote = findSelector(selectors, 'TextQuoteSelector');
+  const position = findSelector(selectors, 'TextPositionSelector');
+  if (!quote || !quote.exact) return null;
+
+  const exact = quote.exact;
+  const prefix = quote.prefix || '';
+  const suffix = quote.suffix || '';
+
+  if (position && index.text.substr(position.start, exact.length) === exact) {
+    return { start: position.start, end: position.start + exact.length };
+  }
+
+  let best = null;
+  let idx = index.text.indexOf(exact);
+  while (idx !== -1) {
+    const end = idx + exact.length;
+    const score =
+      commonSuffixLength(prefix, index.text.slice(Math.max(0, idx - prefix.length), idx)) +
+      commonPrefixLength(suffix, index.text.slice(end, end + suffix.length));
+    const distance = position ? Math.abs(idx - position.start) : 0;
+    if (!best || score > best.score || (score === best.score && distance < best.distance)) {
+      best = { start: idx, end, score, distance };
+    }
+    idx = index.text.indexOf(exact, idx + 1);
+  }
+
+  return best ? { start: best.start, end: best.end } : null;
+}
+
+// ============ FUZZY RE-ANCHORING ============
+
+// Bitap match threshold (0.0 = exact match only, 1.0 = accept anything)
+const FUZZY_MATCH_THRESHOLD = 0.4;
+// How far (in characters) from the expected location a match may drift before
+// proximity alone pushes its score over the threshold
+const FUZZY_MATCH_DISTANCE = 4000;
+// Bitap works on 32-bit masks, so longer quotes are matched by their head and tail
+const FUZZY_MAX_PATTERN_LENGTH = 32;
+
+/**
+ * Bitap approximate string search (the algorithm used by diff-match-patch's match_main).
+ * @param {string} text - Text to search in
+ * @param {string} pattern - Pattern of at most FUZZY_MAX_PATTERN_LENGTH characters
+ * @param {number} expectedLocation - Offset where the pattern is expected
+ * @returns {Object|null} { index, errors } of the best match, or null
+ */
+function bitapSearch(text, pattern, expectedLocation) {
+  const location = Math.max(0, Math.min(expectedLocation, text.length));
+
+  // Lower scores are better: errors relative to pattern size plus distance penalty
+  const score = (errors, matchLocation) =>
+    errors / pattern.length + Math.abs(location - matchLocation) / FUZZY_MATCH_DISTANCE;
+
+  const alphabet = {};
+  for (let i = 0; i < pattern.length; i++) {
+    alphabet[pattern.charAt(i)] = (alphabet[pattern.charAt(i)] || 0) | (1 << (pattern.length - i - 1));
+  }
+
+  // Tighten the threshold with any exact match around the expected location
+  let scoreThreshold = FUZZY_MATCH_THRESHOLD;
+  let exactLocation = text.indexOf(pattern, location);
+  if (exactLocation !== -1) {
+    scoreThreshold = Math.min(score(0, exactLocation), scoreThreshold);
+  }
+  exactLocation = text.lastIndexOf(pattern, location + pattern.length);
+  if (exactLocation !== -1) {
+    scoreThreshold = Math.min(score(0, exactLocation), scoreThreshold);
+  }
+
+  const matchMask = 1 << (pattern.length - 1);
+  let bestLocation = -1;
+  let bestErrors = 0;
+  let binMax = pattern.length + text.length;
+  let lastRd = [];
+
+  for (let errors = 0; errors < pattern.length; errors++) {
+    // Binary search for how far from the expected location this error level can reach
+    let binMin = 0;
+    let binMid = binMax;
+    while (binMin < binMid) {
+      if (score(errors, location + binMid) <= scoreThreshold) {
+        binMin = binMid;
+      } else {
+        binMax = binMid;
+      }
+      binMid = Math.floor((binMax - binMin) / 2 + binMin);
+    }
+    binMax = binMid;
+
+    let start = Math.max(1, location - binMid + 1);
+    const finish = Math.min(location + binMid, text.length) + pattern.length;
+    const rd = new Array(finish + 2);
+    rd[finish + 1] = (1 << errors) - 1;
+
+    for (let j = finish; j >= start; j--) {
+      const charMatch = alphabet[text.charAt(j - 1)] || 0;
+      if (errors === 0) {
+        rd[j] = ((rd[j + 1] << 1) | 1) & charMatch;
+      } else {
+        rd[j] = (((rd[j + 1] << 1) | 1) & charMatch) |
+          (((lastRd[j + 1] | lastRd[j]) << 1) | 1) |
+          lastRd[j + 1];
+      }
+      if (rd[j] & matchMask) {
+        const value = score(errors, j - 1);
+        if (value <= scoreThreshold) {
+          scoreThreshold = value;
+          bestLocation = j - 1;
+          bestErrors = errors;
+          if (bestLocation > location) {
+            // Keep searching on the other side of the expected location
+            start = Math.max(1, 2 * location - bestLocation);
+          } else {
+            break;
+          }
+        }
+      }
+    }
+
+    // No better match is possible with more errors
+    if (score(errors + 1, location) > scoreThreshold) break;
+    lastRd = rd;
+  }
+
+  return bestLocation === -1 ? null : { index: bestLocation, errors: bestErrors };
+}
+
+/**
+ * Find text that approximately matches the stored quote near its stored position.
+ * Used when the page text changed and the exact quote no longer exists.
+ * @param {TextIndex} index - Text index to search
+ * @param {Array} selectors - Selector list created by describeTextRange
+ * @returns {Object|null} { start, end, confidence } where confidence is between 0 and 1
+ */
+function fuzzyAnchorSelectors(index, selectors) {
+  const quote = findSelector(selectors, 'TextQuoteSelector');
+  const position = findSelector(selectors, 'TextPositionSelector');
+  if (!quote || typeof quote.exact !== 'string' || !quote.exact.trim()) return null;
+
+  const exact = quote.exact;
+  const expectedStart = position ? position.start : 0;
+
+  if (exact.length <= FUZZY_MAX_PATTERN_LENGTH) {
+    const match = bitapSearch(index.text, exact, expectedStart);
+    if (!match) return null;
+    return {
+      start: match.index,
+      end: Math.min(match.index + exact.length, index.text.length),
+      confidence: 1 - match.errors / exact.length
+    };
+  }
+
+  // Long quote: locate its head, then its tail relative to where the head landed
+  const head = exact.slice(0, FUZZY_MAX_PATTERN_LENGTH);
+  const tail = exact.slice(-FUZZY_MAX_PATTERN_LENGTH);
+  const headMatch = bitapSearch(index.text, head, expectedStart);
+  if (!headMatch) return null;
+  const tailMatch = bitapSearch(index.text, tail, headMatch.index + exact.length - tail.length);
+  if (!tailMatch || tailMatch.index < headMatch.index) return null;
+
+  const start = headMatch.index;
+  const end = Math.min(tailMatch.index + tail.length, index.text.length);
+  const lengthRatio = Math.min(end - start, exact.length) / Math.max(end - start, exact.length);
+  if (lengthRatio < 0.5) return null;
+
+  const errorRatio = (headMatch.errors + tailMatch.errors) / (head.length + tail.length);
+  return {
+    start,
+    end,
+    confidence: (1 - errorRatio) * lengthRatio
+  };
+}
+
+// ============ SHADOW DOM ============
+
+/**
+ * Collect the open shadow roots under a node, outer roots before the roots nested in them.
+ * @param {Node} root - Element, document or shadow root to search
+ * @returns {Array} Open ShadowRoot objects
+ */
+function collectOpenShadowRoots(root) {
+  const shadowRoots = [];
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT);
+  let node = walker.currentNode;
+  while (node) {
+    if (node.shadowRoot) {
+      shadowRoots.push(node.shadowRoot, ...collectOpenShadowRoots(node.shadowRoot));
+    }
+    node = walker.nextNode();
+  }
+  return shadowRoots;
+}
+
+// CSS selector that finds `element` again from the root node it lives in
+function getElementSelectorPath(element) {
+  const root = element.getRootNode();
+  const steps = [];
+  let current = element;
+  while (current && current.nodeType === Node.ELEMENT_NODE) {
+    if (current.id && root.querySelectorAll(`#${CSS.escape(current.id)}`).length === 1) {
+      steps.unshift(`#${CSS.escape(current.id)}`);
+      break;
+    }
+    const tagName = current.localName;
+    let nth = 1;
+    for (let sibling = current.previousElementSibling; sibling; sibling = sibling.previousElementSibling) {
+      if (sibling.localName === tagName) nth++;
+    }
+    steps.unshift(`${CSS.escape(tagName)}:nth-of-type(${nth})`);
+    current = current.parentElement;
+  }
+  return steps.join(' > ');
+}
+
+/**
+ * Describe the chain of shadow hosts that contain a node.
+ * @param {Node} node - Node inside the page
+ * @returns {Array} One selector path per host, outermost host first; empty for document nodes
+ */
+function getShadowHostPath(node) {
+  const path = [];
+  let root = node.getRootNode();
+  while (root instanceof ShadowRoot) {
+    path.unshift(getElementSelectorPath(root.host));
+    root = root.host.getRootNode();
+  }
+  return path;
+}
+
+/**
+ * Find the shadow root described by a shadow host path.
+ * @param {Array} path - Path created by getShadowHostPath
+ * @returns {ShadowRoot|null} The innermost shadow root, or null if a host is missing or closed
+ */
+function resolveShadowHostPath(path) {
+  let root = document;
+  for (const selector of path) {
+    let host = null;
+    try {
+      host = root.querySelector(selector);
+    } catch (error) {
+      debugLog('Invalid shadow host selector:', selector, error);
+    }
+    if (!host || !host.shadowRoot) return null;
+    root = host.shadowRoot;
+  }
+  return root === document ? null : root;
+}
+
+// Root node to build a TextIndex for text around `node`: its shadow root, or the body
+function getTextRoot(node) {
+  const root = node.getRootNode();
+  return root instanceof ShadowRoot ? root : document.body;
+}
+
+/**
+ * Text position under a viewport point, looking inside open shadow roots.
+ * @param {number} x - Client x coordinate
+ * @param {number} y - Client y coordinate
+ * @returns {Object|null} { node, offset } boundary point, or null if there is no text there
+ */
+function getCaretFromPoint(x, y) {
+  if (typeof document.caretPositionFromPoint === 'function') {
+    const position = document.caretPositionFromPoint(x, y, {
+      shadowRoots: collectOpenShadowRoots(document.body)
+    });
+    return position ? { node: position.offsetNode, offset: position.offset } : null;
+  }
+  if (typeof document.caretRangeFromPoint === 'function') {
+    const range = document.caretRangeFromPoint(x, y);
+    return range ? { node: range.startContainer, offset: range.startOffset } : null;
+  }
+  return null;
+}
+
+/**
+ * Open shadow roots of the shadow hosts at the selection's anchor and focus, with the roots
+ * nested in them. A selection inside a shadow tree is reported at its host, so only those
+ * subtrees need to be searched.
+ * @returns {Array} Open ShadowRoot objects, outer roots first
+ */
+function getSelectionShadowRoots(selection) {
+  const hosts = new Set();
+  [[selection.anchorNode, selection.anchorOffset], [selection.focusNode, selection.focusOffset]]
+    .forEach(([node, offset]) => {
+      if (!node) return;
+      [node, node.childNodes[offset], node.childNodes[offset - 1]].forEach(candidate => {
+        if (candidate && candidate.shadowRoot) hosts.add(candidate);
+      });
+    });
+  const shadowRoots = [];
+  hosts.forEach(host => {
+    shadowRoots.push(host.shadowRoot, ...collectOpenShadowRoots(host.shadowRoot));
+  });
+  return shadowRoots;
+}
+
+/**
+ * Get the current selection as a Range, looking inside open shadow roots.
+ * document.getSelection() only reports the shadow host for text selected inside a
+ * shadow tree, so the composed range (or the legacy per-root selection) is used instead.
+ * Selections that cross a shadow boundary fall back to the document-level range.
+ * @returns {Range|null} Selected range, or null if nothing is selected
+ */
+function getSelectedRange() {
+  const selection = window.getSelection();
+  if (!selection || selection.rangeCount === 0) return null;
+
+  const documentRange = selection.getRangeAt(0);
+  const shadowRoots = getSelectionShadowRoots(selection);
+  if (shadowRoots.length === 0) return documentRange;
+
+  if (typeof selection.getComposedRanges === 'function') {
+    let composedRange = null;
+    try {
+      [composedRange] = selection.getComposedRanges({ shadowRoots });
+    } catch (error) {
+      debugLog('getComposedRanges failed:', error);
+    }
+    if (composedRange &&
+      composedRange.startContainer.getRootNode() === composedRange.endContainer.getRootNode()) {
+      const range = document.createRange();
+      range.setStart(composedRange.startContainer, composedRange.startOffset);
+      range.setEnd(composedRange.endContainer, composedRange.endOffset);
+      return range;
+    }
+    return documentRange;
+  }
+
+  // Older Chromium exposes the selection of each shadow tree on the root itself
+  for (const root of shadowRoots.reverse()) {
+    if (typeof root.getSelection !== 'function') continue;
+    const rootSelection = root.getSelection();
+    if (rootSelection && rootSelection.rangeCount > 0 && rootSelection.toString().trim() !== '') {
+      const range = rootSelection.getRangeAt(0);
+      if (range.startContainer.getRootNode() === root && range.endContainer.getRootNode() === root) {
+        return range;
+      }
+    }
+  }
+  return documentRange;
+}
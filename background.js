@@ -1,3 +1,10 @@
+import { normalizePageUrl, sanitizeUrlNormalizationSettings } from './url-normalization.js';
+import * as db from './db.js';
+import { mergePageGroups } from './import-merge.js';
+import { validateExportFile, buildExportFile } from './export-format.js';
+import { DEFAULT_MARKDOWN_TEMPLATE, renderMarkdown, sanitizeMarkdownTemplate } from './markdown-export.js';
+import { renderCsv } from './csv-export.js';
+
 // Default colors removed - users start with an empty color palette
 const COLORS = [];
 
@@ -7,6 +14,12 @@ const MAX_CUSTOM_COLORS = 20;
 // Command names for first 5 color positions (matching manifest.json)
 const COMMAND_NAMES = ['highlight_custom_1', 'highlight_custom_2', 'highlight_custom_3', 'highlight_custom_4', 'highlight_custom_5'];
 
+// Undo/redo commands and the history step each one takes
+const HISTORY_COMMANDS = {
+  undo_highlight_edit: 'undo',
+  redo_highlight_edit: 'redo'
+};
+
 // Cross-browser compatibility - use chrome API in Chrome, browser API in Firefox
 const browserAPI = (() => {
   if (typeof browser !== 'undefined') {
@@ -28,6 +41,13 @@ const DEBUG_MODE = false;
 // Debug log function
 const debugLog = DEBUG_MODE ? console.log.bind(console) : () => {};
 
+// Opens the database and moves data left in chrome.storage.local by older versions into it.
+// Everything that reads or writes stored data waits for it, and fails when it failed.
+const databaseReady = db.initDatabase(browserAPI.storage.local);
+databaseReady.catch(error => {
+  console.error('Error opening the database', error);
+});
+
 // 저장된 단축키 정보
 let storedShortcuts = {};
 
@@ -51,7 +71,7 @@ let currentColors = [...COLORS];
 // Load custom user-defined colors from local storage
 async function loadCustomColors() {
   try {
-    const result = await browserAPI.storage.local.get(['customColors']);
+    const result = await db.getSettings(['customColors']);
     let customColors = result.customColors || [];
     let needsUpdate = false;
     
@@ -65,7 +85,7 @@ async function loadCustomColors() {
     
     // Update storage if we added numbers to existing colors
     if (needsUpdate) {
-      await browserAPI.storage.local.set({ customColors });
+      await db.setSettings({ customColors });
       debugLog('Updated custom colors with numbers:', customColors);
     }
     
@@ -73,7 +93,7 @@ async function loadCustomColors() {
     currentColors = customColors;
     
     if (customColors.length) {
-      debugLog('Loaded custom colors from storage.local:', customColors);
+      debugLog('Loaded custom colors from the database:', customColors);
     }
   } catch (e) {
     console.error('Error loading custom colors', e);
@@ -151,6 +171,14 @@ async function createOrUpdateContextMenus() {
 // Initial setup when extension is installed or updated
 browserAPI.runtime.onInstalled.addListener(async () => {
   if (DEBUG_MODE) console.log('Extension installed/updated. Debug mode:', DEBUG_MODE);
+
+  // Pages saved under raw URLs by earlier versions are merged into their normalized keys
+  try {
+    await databaseReady;
+    await normalizeStoredPageKeys();
+  } catch (error) {
+    console.error('Error normalizing stored page keys', error);
+  }
 });
 
 // 탭 활성화 시 단축키 변경사항 확인 후 필요시 컨텍스트 메뉴 업데이트
@@ -180,32 +208,661 @@ browserAPI.tabs.onActivated.addListener(async () => {
   }
 });
 
-// Helper function to notify tab about highlight updates
+// Helper function to notify tabs showing a page about highlight updates
 async function notifyTabHighlightsRefresh(highlights, url) {
-  const tabs = await browserAPI.tabs.query({ url: url });
-  try {
-    await browserAPI.tabs.sendMessage(tabs[0].id, {
-      action: 'refreshHighlights',
-      highlights: highlights
+  const tabs = await findPageTabs(url);
+  for (const tab of tabs) {
+    try {
+      await browserAPI.tabs.sendMessage(tab.id, {
+        action: 'refreshHighlights',
+        highlights: highlights
+      });
+    } catch (error) {
+      debugLog('Error notifying tab about highlight updates:', error);
+    }
+  }
+}
+
+/**
+ * Tell every tab and frame showing a page about a change to one of its groups, so they
+ * can apply it without reloading all highlights.
+ * @param {string} url - Page key
+ * @param {Object} change - { type, groupId, group }
+ * @param {string} [originId] - Content script that made the change, which skips it
+ */
+async function broadcastGroupChange(url, change, originId = null) {
+  const tabs = await findPageTabs(url);
+  for (const tab of tabs) {
+    try {
+      // Without a frameId the message reaches every frame of the tab
+      await browserAPI.tabs.sendMessage(tab.id, {
+        action: 'highlightGroupChanged',
+        pageKey: url,
+        originId: originId,
+        ...change
+      });
+    } catch (error) {
+      debugLog('Error notifying tab about a highlight change:', error);
+    }
+  }
+}
+
+// ============ TRASH ============
+
+// Days deleted highlights stay in the trash unless the user changes it (0 keeps them forever)
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+async function getTrashRetentionDays() {
+  const settings = await db.getSettings(['trashRetentionDays']);
+  const days = Number(settings.trashRetentionDays);
+  return Number.isFinite(days) && days >= 0 ? days : DEFAULT_TRASH_RETENTION_DAYS;
+}
+
+// Permanently delete trash items older than the retention period
+async function purgeExpiredTrash() {
+  const days = await getTrashRetentionDays();
+  if (days === 0) return;
+  const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+  const purged = await db.purgeTrash(cutoff);
+  if (purged > 0) {
+    debugLog('Purged expired trash items:', purged);
+  }
+}
+
+// ============ BACKUPS ============
+
+const BACKUP_ALARM_NAME = 'highlight-backup';
+// Snapshot schedule used until the user changes it (0 hours turns scheduled backups off)
+const DEFAULT_BACKUP_INTERVAL_HOURS = 24;
+const DEFAULT_BACKUP_COUNT = 7;
+
+async function getBackupSettings() {
+  const settings = await db.getSettings(['backupIntervalHours', 'backupCount']);
+  const intervalHours = Number(settings.backupIntervalHours);
+  const count = Number(settings.backupCount);
+  return {
+    intervalHours: Number.isFinite(intervalHours) && intervalHours >= 0 ? intervalHours : DEFAULT_BACKUP_INTERVAL_HOURS,
+    count: Number.isInteger(count) && count >= 1 ? count : DEFAULT_BACKUP_COUNT
+  };
+}
+
+// Create, change or remove the backup alarm to match the settings
+async function scheduleBackups() {
+  const { intervalHours } = await getBackupSettings();
+  if (intervalHours === 0) {
+    await browserAPI.alarms.clear(BACKUP_ALARM_NAME);
+    return;
+  }
+  const periodInMinutes = intervalHours * 60;
+  const alarm = await browserAPI.alarms.get(BACKUP_ALARM_NAME);
+  if (alarm && alarm.periodInMinutes === periodInMinutes) return;
+  await browserAPI.alarms.create(BACKUP_ALARM_NAME, { periodInMinutes });
+  debugLog('Scheduled backups every', intervalHours, 'hours');
+}
+
+// Short digest of the stored data, to skip scheduled backups when nothing changed
+function getBackupFingerprint(pages) {
+  const state = pages
+    .map(page => `${page.url}@${page.revision || 0}:${page.highlights.length}`)
+    .sort()
+    .join('|');
+  let hash = 5381;
+  for (let i = 0; i < state.length; i++) {
+    hash = ((hash * 33) ^ state.charCodeAt(i)) >>> 0;
+  }
+  return `${pages.length}-${hash.toString(36)}`;
+}
+
+/**
+ * Snapshot every page and drop the oldest snapshots beyond the configured count.
+ * @param {string} reason - 'scheduled', 'manual', 'beforeRestore' or 'beforeNormalize'
+ * @param {Object} [options]
+ * @param {boolean} [options.prune=true] - Whether to drop old snapshots right away
+ * @returns {Object} { created, id }
+ */
+async function createBackup(reason, { prune = true } = {}) {
+  const pages = await db.getAllPages();
+  const fingerprint = getBackupFingerprint(pages);
+  if (reason === 'scheduled') {
+    const [latest] = await db.getBackupSummaries();
+    if (pages.length === 0 || (latest && latest.fingerprint === fingerprint)) {
+      debugLog('No changes since the last backup, skipping');
+      return { created: false };
+    }
+  }
+
+  const id = await db.addBackup({
+    createdAt: new Date().toISOString(),
+    reason,
+    fingerprint,
+    pages: pages.map(({ revision, domain, ...page }) => page)
+  });
+  if (prune) {
+    const { count } = await getBackupSettings();
+    await db.pruneBackups(count);
+  }
+  debugLog('Created backup:', id, reason);
+  return { created: true, id };
+}
+
+/**
+ * What restoring a backup would bring back, page by page, compared with the current data.
+ * @returns {Object|null} { backup, pages: [{ url, title, highlightCount, currentCount }] }
+ */
+async function previewBackup(id) {
+  const backup = await db.getBackup(id);
+  if (!backup) return null;
+  const { pages, ...summary } = backup;
+  const preview = [];
+  for (const page of pages) {
+    const current = await db.getPageGroups(await getPageKey(page.url));
+    preview.push({
+      url: page.url,
+      title: page.title || '',
+      highlightCount: page.highlights.length,
+      currentCount: current.length
     });
-  } catch (error) {
-    debugLog('Error notifying tab about highlight updates:', error);
   }
+  return { backup: summary, pages: preview };
 }
 
-// Helper function to remove storage keys when no highlights remain
-async function cleanupEmptyHighlightData(url) {
-  if (!url) return;
+/**
+ * Bring back the data of a backup. The current data is backed up first, and old backups
+ * are only pruned once the restore is done, keeping both the restored one and that copy.
+ * 'replace' makes the stored pages exactly those of the backup; 'merge' adds the pages
+ * and groups of the backup that are missing now, keeping the current version of the rest.
+ * @returns {Object|null} { restoredPages } or null when the backup is gone
+ */
+async function restoreBackup(id, mode) {
+  const backup = await db.getBackup(id);
+  if (!backup) return null;
+
+  const safetyBackup = await createBackup('beforeRestore', { prune: false });
+  const affectedKeys = new Set();
+  if (mode === 'replace') {
+    (await db.getAllPages()).forEach(page => affectedKeys.add(page.url));
+    const pages = [];
+    for (const page of backup.pages) {
+      const url = await getPageKey(page.url);
+      affectedKeys.add(url);
+      pages.push({ ...page, url });
+    }
+    await db.replaceAllPages(pages, { trash: true });
+  } else {
+    for (const page of backup.pages) {
+      const url = await getPageKey(page.url);
+      affectedKeys.add(url);
+      const current = await db.getPage(url);
+      const stored = current ? [{ ...current, highlights: await db.getPageGroups(url) }] : [];
+      // The current copy is the most recent one, so its groups win over the backup's
+      const merged = mergeStoredPages(stored.concat([page]));
+      await db.savePage(url, merged.highlights, merged.meta);
+    }
+  }
 
-  debugLog('Cleaning up empty highlight data for URL:', url);
+  const { count } = await getBackupSettings();
+  await db.pruneBackups(count, [id, safetyBackup.id]);
+
+  for (const url of affectedKeys) {
+    await notifyTabHighlightsRefresh(await db.getPageGroups(url), url);
+  }
+  debugLog('Restored backup:', id, mode);
+  return { restoredPages: backup.pages.length };
+}
+
+browserAPI.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name !== BACKUP_ALARM_NAME) return;
   try {
-    await browserAPI.storage.local.remove([url, `${url}_meta`]);
-    debugLog('Successfully removed empty highlight data for URL:', url);
+    await databaseReady;
+    await createBackup('scheduled');
   } catch (error) {
-    debugLog('Error removing empty highlight data:', error);
+    console.error('Error creating scheduled backup', error);
+  }
+});
+
+// ============ MARKDOWN EXPORT ============
+
+// Name of a highlight color as the color buttons show it, or the color value itself
+async function getColorLabeler() {
+  const stored = await db.getSettings(['customColors']);
+  const colors = COLORS.concat(stored.customColors || []);
+  return (colorValue) => {
+    const color = colors.find(c => c.color.toLowerCase() === String(colorValue).toLowerCase());
+    const name = color && getMessage(color.nameKey);
+    if (!name) return colorValue;
+    return color.colorNumber ? `${name} ${color.colorNumber}` : name;
+  };
+}
+
+/**
+ * Markdown of the given pages, laid out with the user's template (see markdown-export.js).
+ * @param {Array|null} urls - Page keys, or null for every page, newest first
+ * @returns {Object} { markdown, pageCount }
+ */
+async function exportMarkdown(urls) {
+  let pages = await db.getAllPages();
+  if (urls) {
+    // Keep the order the pages were asked for
+    const byUrl = new Map(pages.map(page => [page.url, page]));
+    pages = urls.map(url => byUrl.get(url)).filter(Boolean);
+  } else {
+    pages.sort((a, b) => (b.lastUpdated || '').localeCompare(a.lastUpdated || ''));
+  }
+  if (pages.length === 0) return { markdown: '', pageCount: 0 };
+
+  const { markdownTemplate } = await db.getSettings(['markdownTemplate']);
+  return {
+    markdown: renderMarkdown(pages, markdownTemplate, await getColorLabeler()),
+    pageCount: pages.length
+  };
+}
+
+/**
+ * CSV of highlight groups, one row each (see csv-export.js).
+ * @param {Array|null} selection - [{ url, groupIds }] in the order to export, where a null
+ *   groupIds takes every group of the page; null exports every page, newest first
+ * @returns {Object} { csv, rowCount }
+ */
+async function exportCsv(selection) {
+  let pages = await db.getAllPages();
+  if (selection) {
+    const byUrl = new Map(pages.map(page => [page.url, page]));
+    pages = selection
+      .filter(item => item && byUrl.has(item.url))
+      .map(item => {
+        const page = byUrl.get(item.url);
+        return Array.isArray(item.groupIds) ? { ...page, groupIds: item.groupIds } : page;
+      });
+  } else {
+    pages.sort((a, b) => (b.lastUpdated || '').localeCompare(a.lastUpdated || ''));
+  }
+  const rowCount = pages.reduce((count, page) => count + (Array.isArray(page.groupIds)
+    ? page.highlights.filter(group => page.groupIds.includes(group.groupId)).length
+    : page.highlights.length), 0);
+  return { csv: renderCsv(pages, await getColorLabeler()), rowCount };
+}
+
+// ============ IMPORT ============
+
+/**
+ * Work out what importing pages would do to each stored page, without writing anything.
+ * Imported pages that share a page key are merged into one entry.
+ * @param {Array} pages - Pages of the import file, checked by validateExportFile
+ * @returns {Array} Entries { url, status, groups, meta, changed, importedCount, currentCount,
+ *   added, conflicts } where status is 'add', 'merge', 'conflict', or 'unchanged' when
+ *   the stored page already has everything the import brings
+ */
+async function planImport(pages) {
+  const plan = new Map();
+  for (const page of pages) {
+    if (!page || !page.url || !Array.isArray(page.highlights)) continue;
+    const url = await getPageKey(page.url);
+    let entry = plan.get(url);
+    if (!entry) {
+      const current = await db.getPage(url);
+      const groups = current ? await db.getPageGroups(url) : [];
+      entry = {
+        url,
+        isNew: !current,
+        groups,
+        meta: current ? { ...current } : {},
+        changed: false,
+        importedCount: 0,
+        currentCount: groups.length,
+        added: 0,
+        conflicts: []
+      };
+      plan.set(url, entry);
+    }
+
+    const merged = mergePageGroups(entry.groups, page.highlights, {
+      currentUpdated: entry.meta.lastUpdated,
+      importedUpdated: page.lastUpdated
+    });
+    entry.groups = merged.groups;
+    entry.importedCount += page.highlights.length;
+    entry.added += merged.added;
+    entry.conflicts.push(...merged.conflicts);
+    entry.changed = entry.changed || merged.added > 0 || merged.updated > 0;
+
+    // The import fills in page details the stored page does not have
+    db.PAGE_METADATA_FIELDS.forEach(field => {
+      if (!entry.meta[field] && typeof page[field] === 'string') entry.meta[field] = page[field];
+    });
+    if ((page.lastUpdated || '') > (entry.meta.lastUpdated || '')) {
+      entry.meta.lastUpdated = page.lastUpdated;
+    }
+  }
+
+  return Array.from(plan.values()).map(entry => {
+    let status = 'merge';
+    if (entry.isNew) {
+      status = 'add';
+    } else if (entry.conflicts.length > 0) {
+      status = 'conflict';
+    } else if (!entry.changed) {
+      status = 'unchanged';
+    }
+    return { ...entry, status };
+  });
+}
+
+// Page-by-page summary of planImport for the import preview
+async function previewImport(pages) {
+  const plan = await planImport(pages);
+  return plan.map(entry => ({
+    url: entry.url,
+    title: entry.meta.title || '',
+    status: entry.status,
+    importedCount: entry.importedCount,
+    currentCount: entry.currentCount,
+    added: entry.added,
+    conflicts: entry.conflicts
+  }));
+}
+
+/**
+ * Store imported pages.
+ * 'merge' unions the imported groups with the stored ones (see import-merge.js);
+ * 'replace' overwrites the stored groups of every imported page.
+ * @returns {Object} { importedPages }
+ */
+async function importPages(pages, mode) {
+  const written = [];
+  if (mode === 'replace') {
+    for (const page of pages) {
+      if (!page || !page.url) continue;
+      const url = await getPageKey(page.url);
+      // The replaced highlights can be brought back from the trash
+      await db.savePage(url, page.highlights || [], {
+        ...page,
+        lastUpdated: page.lastUpdated || new Date().toISOString()
+      }, { trash: true });
+      written.push(url);
+    }
+  } else {
+    for (const entry of await planImport(pages)) {
+      if (!entry.changed) continue;
+      await db.savePage(entry.url, entry.groups, {
+        ...entry.meta,
+        lastUpdated: entry.meta.lastUpdated || new Date().toISOString()
+      });
+      written.push(entry.url);
+    }
+  }
+
+  for (const url of new Set(written)) {
+    await notifyTabHighlightsRefresh(await db.getPageGroups(url), url);
+  }
+  debugLog('Imported pages:', written.length, mode);
+  return { importedPages: written.length };
+}
+
+// ============ PAGE KEYS ============
+
+// URL normalization settings, cached until they change in storage
+let urlNormalizationSettings = null;
+
+async function getUrlNormalizationSettings() {
+  if (!urlNormalizationSettings) {
+    const result = await db.getSettings(['urlNormalization']);
+    urlNormalizationSettings = sanitizeUrlNormalizationSettings(result.urlNormalization);
+  }
+  return urlNormalizationSettings;
+}
+
+// Storage key for a page URL (see url-normalization.js)
+async function getPageKey(url, canonicalUrl = null) {
+  if (!url) return url;
+  return normalizePageUrl(url, await getUrlNormalizationSettings(), canonicalUrl);
+}
+
+// Page keys reported by the top frame of each tab: tabId -> { url, pageKey }.
+// Session storage keeps them across service worker restarts where it is available; they
+// are read from it once per service worker start.
+const tabPageKeys = new Map();
+const TAB_PAGE_KEY_PREFIX = 'tabPageKey_';
+let tabPageKeysLoaded = null;
+
+function getTabPageKeyStorageKey(tabId) {
+  return `${TAB_PAGE_KEY_PREFIX}${tabId}`;
+}
+
+function loadTabPageKeys() {
+  if (!tabPageKeysLoaded) {
+    tabPageKeysLoaded = (async () => {
+      if (!browserAPI.storage.session) return;
+      const stored = await browserAPI.storage.session.get(null);
+      Object.entries(stored).forEach(([storageKey, entry]) => {
+        if (!storageKey.startsWith(TAB_PAGE_KEY_PREFIX)) return;
+        const tabId = Number(storageKey.slice(TAB_PAGE_KEY_PREFIX.length));
+        // Entries remembered since the start are newer than the stored ones
+        if (!tabPageKeys.has(tabId)) tabPageKeys.set(tabId, entry);
+      });
+    })();
+  }
+  return tabPageKeysLoaded;
+}
+
+async function rememberTabPageKey(tab, pageKey) {
+  const entry = { url: tab.url, pageKey };
+  tabPageKeys.set(tab.id, entry);
+  if (browserAPI.storage.session) {
+    await browserAPI.storage.session.set({ [getTabPageKeyStorageKey(tab.id)]: entry });
+  }
+}
+
+// Storage key of the page shown in a tab. The key reported by its content script is
+// preferred, since only the page knows its canonical URL.
+async function getTabPageKey(tab) {
+  await loadTabPageKeys();
+  const entry = tabPageKeys.get(tab.id);
+  if (entry && entry.url === tab.url) {
+    return entry.pageKey;
+  }
+  return getPageKey(tab.url);
+}
+
+// Tabs currently showing the page stored under a key
+async function findPageTabs(pageKey) {
+  const tabs = await browserAPI.tabs.query({});
+  const pageTabs = [];
+  for (const tab of tabs) {
+    if (tab.url && await getTabPageKey(tab) === pageKey) {
+      pageTabs.push(tab);
+    }
+  }
+  return pageTabs;
+}
+
+browserAPI.tabs.onRemoved.addListener((tabId) => {
+  tabPageKeys.delete(tabId);
+  if (browserAPI.storage.session) {
+    browserAPI.storage.session.remove(getTabPageKeyStorageKey(tabId));
+  }
+});
+
+// Storage key for a message from a content script.
+// Embedded frames only know their own URL, so their highlights are stored under the
+// key of the tab's top-level page (the sender tab) instead.
+async function getMessagePageKey(message, sender) {
+  if (message.frame && sender && sender.tab) {
+    return getTabPageKey(sender.tab);
+  }
+  // Key the page was loaded under, so a later change of its canonical link does not move it
+  if (message.pageKey) {
+    return getPageKey(message.pageKey);
   }
+  return getPageKey(message.url, message.canonicalUrl);
 }
 
+/**
+ * Combine the highlights and metadata stored under several keys for the same page.
+ * Groups are de-duplicated by groupId; the most recently updated copy wins.
+ * @param {Array} pages - [{ highlights, lastUpdated, ...metadata }]
+ * @returns {Object} { highlights, meta }
+ */
+function mergeStoredPages(pages) {
+  const byRecency = [...pages].sort((a, b) =>
+    new Date(b.lastUpdated || 0) - new Date(a.lastUpdated || 0)
+  );
+  const groupIds = new Set();
+  const highlights = [];
+  byRecency.forEach(page => {
+    page.highlights.forEach(group => {
+      if (groupIds.has(group.groupId)) return;
+      groupIds.add(group.groupId);
+      highlights.push(group);
+    });
+  });
+
+  // Each descriptive field comes from the most recent page that has it
+  const meta = { lastUpdated: byRecency[0].lastUpdated || '' };
+  db.PAGE_METADATA_FIELDS.forEach(field => {
+    const described = byRecency.find(page => page[field]);
+    meta[field] = described ? described[field] : '';
+  });
+  return { highlights, meta };
+}
+
+// Key of a top-level page: its canonical key, unless highlights are stored only under the
+// page's own address (saved before its canonical link was used). Those are read where they
+// are and never moved: the canonical link is up to the site, so it cannot decide to merge pages.
+async function resolveTopFramePageKey(message, canonicalKey) {
+  const addressKey = await getPageKey(message.url);
+  if (addressKey === canonicalKey || await db.getPage(canonicalKey)) return canonicalKey;
+  return (await db.getPage(addressKey)) ? addressKey : canonicalKey;
+}
+
+/**
+ * Stored pages whose key changes under the given normalization settings, by new key.
+ * Nothing is written.
+ * @returns {Array} [{ pageKey, pages }] where pages are the stored pages moving to pageKey
+ */
+async function planPageKeyNormalization(settings) {
+  const pagesByKey = new Map();
+  (await db.getAllPages()).forEach(page => {
+    const pageKey = normalizePageUrl(page.url, settings);
+    if (!pagesByKey.has(pageKey)) pagesByKey.set(pageKey, []);
+    pagesByKey.get(pageKey).push(page);
+  });
+  return Array.from(pagesByKey, ([pageKey, pages]) => ({ pageKey, pages }))
+    .filter(({ pageKey, pages }) => pages.length > 1 || pages[0].url !== pageKey);
+}
+
+// What normalizing with the given settings would do, for the settings page to confirm
+async function previewPageKeyNormalization(settings) {
+  const plan = await planPageKeyNormalization(settings);
+  return plan.map(({ pageKey, pages }) => ({
+    pageKey,
+    urls: pages.map(page => page.url).filter(url => url !== pageKey),
+    highlightCount: pages.reduce((total, page) => total + page.highlights.length, 0)
+  }));
+}
+
+/**
+ * Re-key every stored page with the current normalization settings, merging pages
+ * that turn out to be the same one. A backup of the current data is made first.
+ * @returns {number} Number of stored keys that were folded into another key
+ */
+async function normalizeStoredPageKeys() {
+  const plan = await planPageKeyNormalization(await getUrlNormalizationSettings());
+  if (plan.length === 0) return 0;
+  await createBackup('beforeNormalize');
+
+  let mergedCount = 0;
+  for (const { pageKey, pages } of plan) {
+    const merged = mergeStoredPages(pages);
+    await db.savePage(pageKey, merged.highlights, merged.meta);
+    for (const page of pages) {
+      if (page.url === pageKey) continue;
+      await db.deletePage(page.url);
+      mergedCount++;
+    }
+  }
+
+  debugLog('Normalized stored page keys, merged:', mergedCount);
+  return mergedCount;
+}
+
+// Whether a stored group belongs to the given frame (null for the top-level document)
+function isFrameGroup(group, frame) {
+  return (group.frame || null) === (frame || null);
+}
+
+// ============ GROUP OPERATIONS ============
+
+// Messages content scripts send for a single group change, and the change they make
+const GROUP_OPERATIONS = {
+  addHighlightGroup: 'add',
+  updateHighlightGroup: 'update',
+  removeHighlightGroup: 'remove'
+};
+
+// Apply a group change from a content script. An added group stamps the page with its
+// metadata, since it may create the page; updatePageMetadata keeps it current after that.
+async function applyGroupOperation(url, operation, message, sender) {
+  const meta = operation.type === 'add' ? getSenderPageMetadata(message, sender) : {};
+  return db.applyGroupOperation(url, operation, {
+    ...meta,
+    lastUpdated: new Date().toISOString()
+  });
+}
+
+// ============ PAGE METADATA ============
+
+// Longest value kept for each descriptive field of a page
+const PAGE_METADATA_MAX_LENGTH = {
+  title: 500,
+  siteName: 200,
+  author: 200,
+  publishedAt: 100,
+  favicon: 2000,
+  description: 1000
+};
+
+// Keep only string fields of a reasonable length, and favicons that can be shown safely
+function sanitizePageMetadata(pageMeta) {
+  const meta = {};
+  if (!pageMeta || typeof pageMeta !== 'object') return meta;
+  db.PAGE_METADATA_FIELDS.forEach(field => {
+    const value = pageMeta[field];
+    if (typeof value !== 'string' || value.trim() === '') return;
+    meta[field] = value.trim().slice(0, PAGE_METADATA_MAX_LENGTH[field]);
+  });
+  if (meta.favicon && !/^(https?:|data:image\/)/i.test(meta.favicon)) {
+    delete meta.favicon;
+  }
+  return meta;
+}
+
+/**
+ * Metadata of the page a content script message came from.
+ * The top-level document describes itself; embedded frames only know their own
+ * document, so for them the sender tab's title is used.
+ */
+function getSenderPageMetadata(message, sender) {
+  const meta = message.frame ? {} : sanitizePageMetadata(message.pageMeta);
+  if (!meta.title && sender && sender.tab && sender.tab.title) {
+    meta.title = sender.tab.title;
+  }
+  return meta;
+}
+
+// Tell content scripts about in-page navigations made with history.pushState/replaceState,
+// which they cannot observe from their isolated world
+browserAPI.webNavigation.onHistoryStateUpdated.addListener(async (details) => {
+  debugLog('History state updated:', details.tabId, details.url);
+  try {
+    await browserAPI.tabs.sendMessage(details.tabId, {
+      action: 'locationChanged',
+      url: details.url
+    }, { frameId: details.frameId });
+  } catch (error) {
+    debugLog('Error notifying tab about navigation:', error);
+  }
+});
+
 // Context menu click handler
 browserAPI.contextMenus.onClicked.addListener(async (info, tab) => {
   const menuId = info.menuItemId;
@@ -217,14 +874,14 @@ browserAPI.contextMenus.onClicked.addListener(async (info, tab) => {
     const color = currentColors.find(c => c.id === colorId);
 
     if (color) {
-      debugLog('Sending highlight action to tab:', tab.id);
-      // Send highlight action and color info to Content Script
+      debugLog('Sending highlight action to tab:', tab.id, 'frame:', info.frameId);
+      // Send highlight action and color info to the Content Script of the frame holding the selection
       try {
         const response = await browserAPI.tabs.sendMessage(tab.id, {
           action: 'highlight',
           color: color.color,
           text: info.selectionText
-        });
+        }, { frameId: info.frameId || 0 });
         debugLog('Highlight action response:', response);
       } catch (error) {
         debugLog('Error sending highlight action:', error);
@@ -239,6 +896,11 @@ browserAPI.commands.onCommand.addListener(async (command) => {
   const tabs = await browserAPI.tabs.query({ active: true, currentWindow: true });
   const activeTab = tabs[0];
 
+  if (activeTab && HISTORY_COMMANDS[command]) {
+    await runHighlightHistoryStep(activeTab.id, HISTORY_COMMANDS[command]);
+    return;
+  }
+
   if (activeTab) {
     let targetColor = null;
     // Determine color based on shortcut
@@ -255,9 +917,12 @@ browserAPI.commands.onCommand.addListener(async (command) => {
     if (targetColor) {
       debugLog('Sending highlight action to tab:', activeTab.id, 'with color:', targetColor);
       try {
+        // Commands carry no frame information: every frame gets the message and
+        // only the focused one acts on it
         const response = await browserAPI.tabs.sendMessage(activeTab.id, {
           action: 'highlight',
-          color: targetColor
+          color: targetColor,
+          focusedFrameOnly: true
         });
         debugLog('Highlight action response:', response);
       } catch (error) {
@@ -267,11 +932,74 @@ browserAPI.commands.onCommand.addListener(async (command) => {
   }
 });
 
+// ============ UNDO HISTORY ============
+
+/**
+ * Undo history of every frame of a tab. Each frame keeps the history of the edits
+ * made in it.
+ * @returns {Array} [{ frameId, canUndo, canRedo, lastEditTime }]
+ */
+async function getTabHistoryStates(tabId) {
+  const frames = await browserAPI.webNavigation.getAllFrames({ tabId }) || [];
+  const states = [];
+  for (const frame of frames) {
+    try {
+      const state = await browserAPI.tabs.sendMessage(tabId, { action: 'getHighlightHistory' }, { frameId: frame.frameId });
+      if (state) {
+        states.push({ frameId: frame.frameId, ...state });
+      }
+    } catch (error) {
+      // No content script in this frame
+    }
+  }
+  return states;
+}
+
+/**
+ * Undo or redo in the frame of a tab that was edited last and has something to undo/redo.
+ * @param {string} step - 'undo' or 'redo'
+ * @returns {Object} { success, canUndo, canRedo } for the whole tab
+ */
+async function runHighlightHistoryStep(tabId, step) {
+  const states = await getTabHistoryStates(tabId);
+  const candidates = states.filter(state => (step === 'undo' ? state.canUndo : state.canRedo));
+  if (candidates.length === 0) {
+    debugLog('Nothing to', step, 'in tab:', tabId);
+    return { success: false, ...summarizeHistoryStates(states) };
+  }
+
+  const target = candidates.reduce((latest, state) =>
+    (state.lastEditTime > latest.lastEditTime ? state : latest)
+  );
+  try {
+    await browserAPI.tabs.sendMessage(tabId, {
+      action: step === 'undo' ? 'undoHighlightEdit' : 'redoHighlightEdit'
+    }, { frameId: target.frameId });
+  } catch (error) {
+    debugLog('Error sending', step, 'to frame:', target.frameId, error);
+  }
+  return { success: true, ...summarizeHistoryStates(await getTabHistoryStates(tabId)) };
+}
+
+function summarizeHistoryStates(states) {
+  return {
+    canUndo: states.some(state => state.canUndo),
+    canRedo: states.some(state => state.canRedo)
+  };
+}
+
 // Communication with content script (message reception handler)
-browserAPI.runtime.onMessage.addListener((message, _sender, sendResponse) => {
+browserAPI.runtime.onMessage.addListener((message, sender, sendResponse) => {
   // Handle async operations
   (async () => {
     try {
+      try {
+        await databaseReady;
+      } catch (error) {
+        sendResponse({ success: false, error: 'databaseUnavailable', message: error.message });
+        return;
+      }
+
       // Handle debug mode status request
       if (message.action === 'getDebugMode') {
         sendResponse({ debugMode: DEBUG_MODE });
@@ -287,16 +1015,120 @@ browserAPI.runtime.onMessage.addListener((message, _sender, sendResponse) => {
 
       // Handle highlight information request from content.js
       if (message.action === 'getHighlights') {
-        const result = await browserAPI.storage.local.get([message.url]);
-        debugLog('Sending highlights for URL:', message.url, result[message.url] || []);
-        sendResponse({ highlights: result[message.url] || [] });
+        let url = await getMessagePageKey(message, sender);
+        if (!message.frame && sender.tab && sender.frameId === 0) {
+          url = await resolveTopFramePageKey(message, url);
+          await rememberTabPageKey(sender.tab, url);
+        }
+        const pageHighlights = await db.getPageGroups(url);
+        const highlights = pageHighlights.filter(g => isFrameGroup(g, message.frame));
+        debugLog('Sending highlights for URL:', url, 'frame:', message.frame, highlights);
+        sendResponse({ highlights: highlights, pageKey: url });
+        return;
+      }
+
+      // All groups of a page (every frame), for the popup
+      if (message.action === 'getPageHighlights') {
+        const url = await getPageKey(message.url);
+        sendResponse({ highlights: await db.getPageGroups(url) });
+        return;
+      }
+
+      // Read settings for content scripts and extension pages
+      if (message.action === 'getSettings') {
+        const keys = (message.keys || []).filter(key => db.SETTING_KEYS.includes(key));
+        sendResponse({ settings: await db.getSettings(keys) });
+        return;
+      }
+
+      if (message.action === 'setSettings') {
+        const values = {};
+        Object.keys(message.settings || {}).forEach(key => {
+          if (db.SETTING_KEYS.includes(key) && key !== 'urlNormalization') {
+            values[key] = message.settings[key];
+          }
+        });
+        if ('markdownTemplate' in values) {
+          values.markdownTemplate = sanitizeMarkdownTemplate(values.markdownTemplate);
+        }
+        await db.setSettings(values);
+        if ('backupIntervalHours' in values) {
+          await scheduleBackups();
+        }
+        sendResponse({ success: true });
+        return;
+      }
+
+      // Backups screen
+      if (message.action === 'getBackups') {
+        sendResponse({
+          success: true,
+          backups: await db.getBackupSummaries(),
+          settings: await getBackupSettings()
+        });
+        return;
+      }
+
+      if (message.action === 'previewBackup') {
+        const preview = await previewBackup(message.id);
+        sendResponse(preview ? { success: true, ...preview } : { success: false, error: 'notFound' });
+        return;
+      }
+
+      if (message.action === 'createBackup') {
+        sendResponse({ success: true, ...await createBackup('manual') });
+        return;
+      }
+
+      if (message.action === 'restoreBackup') {
+        const result = await restoreBackup(message.id, message.mode === 'replace' ? 'replace' : 'merge');
+        sendResponse(result ? { success: true, ...result } : { success: false, error: 'notFound' });
+        return;
+      }
+
+      if (message.action === 'deleteBackup') {
+        await db.deleteBackup(message.id);
+        sendResponse({ success: true });
+        return;
+      }
+
+      // Storage key of a page, for extension pages that only know its address
+      if (message.action === 'getPageKey') {
+        if (message.tabId !== undefined) {
+          const tab = await browserAPI.tabs.get(message.tabId);
+          sendResponse({ pageKey: await getTabPageKey(tab) });
+        } else {
+          sendResponse({ pageKey: await getPageKey(message.url) });
+        }
+        return;
+      }
+
+      if (message.action === 'getUrlNormalizationSettings') {
+        sendResponse({ settings: await getUrlNormalizationSettings() });
+        return;
+      }
+
+      // Pages that saving these normalization settings would re-key or merge
+      if (message.action === 'previewUrlNormalization') {
+        const settings = sanitizeUrlNormalizationSettings(message.settings);
+        sendResponse({ success: true, changes: await previewPageKeyNormalization(settings) });
+        return;
+      }
+
+      // Save new normalization settings and re-key the stored pages with them
+      if (message.action === 'saveUrlNormalizationSettings') {
+        const settings = sanitizeUrlNormalizationSettings(message.settings);
+        await db.setSettings({ urlNormalization: settings });
+        urlNormalizationSettings = settings;
+        const mergedCount = await normalizeStoredPageKeys();
+        sendResponse({ success: true, settings, mergedCount });
         return;
       }
 
       // Handle clearCustomColors request from popup.js
       if (message.action === 'clearCustomColors') {
         // Check if there are any custom colors to clear
-        const result = await browserAPI.storage.local.get(['customColors']);
+        const result = await db.getSettings(['customColors']);
         const customColors = result.customColors || [];
         
         if (customColors.length === 0) {
@@ -306,7 +1138,7 @@ browserAPI.runtime.onMessage.addListener((message, _sender, sendResponse) => {
         }
 
         // Reset storage and currentColors
-        await browserAPI.storage.local.set({ customColors: [] });
+        await db.setSettings({ customColors: [] });
         // Reset currentColors to empty array (no default colors anymore)
         currentColors = [];
         debugLog('Cleared all custom colors');
@@ -337,7 +1169,7 @@ browserAPI.runtime.onMessage.addListener((message, _sender, sendResponse) => {
         }
 
         // Load existing custom colors from storage
-        const stored = await browserAPI.storage.local.get(['customColors']);
+        const stored = await db.getSettings(['customColors']);
         let customColors = stored.customColors || [];
         
         // Find and remove the color
@@ -356,7 +1188,7 @@ browserAPI.runtime.onMessage.addListener((message, _sender, sendResponse) => {
         });
         
         // Save updated array back to storage
-        await browserAPI.storage.local.set({ customColors });
+        await db.setSettings({ customColors });
         debugLog('Deleted custom color and reordered:', colorId);
         
         // Update currentColors array
@@ -387,8 +1219,8 @@ browserAPI.runtime.onMessage.addListener((message, _sender, sendResponse) => {
           return;
         }
 
-        // Load existing custom colors from storage.local
-        const stored = await browserAPI.storage.local.get(['customColors']);
+        // Load existing custom colors from the database
+        const stored = await db.getSettings(['customColors']);
         let customColors = stored.customColors || [];
         
         // Check if maximum color limit is reached
@@ -412,7 +1244,7 @@ browserAPI.runtime.onMessage.addListener((message, _sender, sendResponse) => {
           };
           customColors.push(newColorObj);
           currentColors.push(newColorObj);
-          await browserAPI.storage.local.set({ customColors });
+          await db.setSettings({ customColors });
           debugLog('Added custom color:', newColorObj);
 
           // Recreate context menus to include new color
@@ -432,6 +1264,28 @@ browserAPI.runtime.onMessage.addListener((message, _sender, sendResponse) => {
         return;
       }
 
+      // Undo state of a tab, for the popup buttons
+      if (message.action === 'getHighlightHistoryState') {
+        sendResponse(summarizeHistoryStates(await getTabHistoryStates(message.tabId)));
+        return;
+      }
+
+      // Undo or redo requested from the popup
+      if (message.action === 'undoHighlightEdit' || message.action === 'redoHighlightEdit') {
+        const step = message.action === 'undoHighlightEdit' ? 'undo' : 'redo';
+        sendResponse(await runHighlightHistoryStep(message.tabId, step));
+        return;
+      }
+
+      // The page's title or other metadata changed after load
+      if (message.action === 'updatePageMetadata') {
+        const url = await getMessagePageKey(message, sender);
+        const updated = await db.updatePageMetadata(url, getSenderPageMetadata(message, sender));
+        debugLog('Page metadata updated:', url, updated);
+        sendResponse({ success: true, updated });
+        return;
+      }
+
       // Handle customColorsUpdated request from color-picker.js
       if (message.action === 'customColorsUpdated') {
         // Reload custom colors from storage
@@ -454,78 +1308,85 @@ browserAPI.runtime.onMessage.addListener((message, _sender, sendResponse) => {
         return;
       }
 
-      // Handle highlight information save request from content.js
-      if (message.action === 'saveHighlights') {
-        const tabs = await browserAPI.tabs.query({ active: true, currentWindow: true });
-        const currentTab = tabs[0];
-
-        // Check if there are any highlights
-        if (message.highlights.length > 0) {
-          const saveData = {};
-          saveData[message.url] = message.highlights;
-
-          // Save highlights
-          await browserAPI.storage.local.set(saveData);
-          debugLog('Saved highlights for URL:', message.url, message.highlights);
-
-          // Save metadata only if highlights exist
-          const result = await browserAPI.storage.local.get([`${message.url}_meta`]);
-          const metaData = result[`${message.url}_meta`] || {};
-          metaData.title = currentTab.title;
-          metaData.lastUpdated = new Date().toISOString();
-
-          const metaSaveData = {};
-          metaSaveData[`${message.url}_meta`] = metaData;
-
-          await browserAPI.storage.local.set(metaSaveData);
-          debugLog('Saved page metadata:', metaData);
-          sendResponse({ success: true });
-        } else {
-          // If no highlights remain, remove both data and metadata
-          await cleanupEmptyHighlightData(message.url);
-          sendResponse({ success: true });
+      // Handle a single highlight group change from content.js
+      const groupOperation = GROUP_OPERATIONS[message.action];
+      if (groupOperation) {
+        const url = await getMessagePageKey(message, sender);
+        const group = message.group && message.frame
+          ? { ...message.group, frame: message.frame }
+          : message.group;
+        const result = await applyGroupOperation(url, {
+          type: groupOperation,
+          group,
+          groupId: message.groupId,
+          baseRevision: message.baseRevision,
+          trash: Boolean(message.trash),
+          untrash: Boolean(message.untrash)
+        }, message, sender);
+        if (result.conflict) {
+          debugLog('Rejected stale highlight change:', message.action, message.groupId, 'for URL:', url);
+          sendResponse(result);
+          return;
         }
+        debugLog('Applied highlight change:', message.action, message.groupId, 'for URL:', url);
+        sendResponse(result);
+        await broadcastGroupChange(url, {
+          type: groupOperation,
+          groupId: message.groupId,
+          group: result.group
+        }, message.originId);
         return;
       }
 
       // Handler for single highlight deletion
       if (message.action === 'deleteHighlight') {
-        const { url, groupId } = message;
-        const result = await browserAPI.storage.local.get([url]);
-        const highlights = result[url] || [];
-        // groupId로 그룹 삭제
-        const updatedHighlights = highlights.filter(g => g.groupId !== groupId);
-        if (updatedHighlights.length > 0) {
-          const saveData = {};
-          saveData[url] = updatedHighlights;
-          await browserAPI.storage.local.set(saveData);
-          debugLog('Highlight group deleted:', groupId, 'from URL:', url);
-          if (message.notifyRefresh) {
-            await notifyTabHighlightsRefresh(updatedHighlights, url);
-          }
-          sendResponse({
-            success: true,
-            highlights: updatedHighlights
+        const { groupId } = message;
+        const url = await getPageKey(message.url);
+        // The user picked this group explicitly: no revision check
+        await db.applyGroupOperation(url, { type: 'remove', groupId, trash: true }, {});
+        const updatedHighlights = await db.getPageGroups(url);
+        debugLog('Highlight group deleted:', groupId, 'from URL:', url);
+        if (message.notifyRefresh) {
+          await broadcastGroupChange(url, {
+            type: 'remove',
+            groupId,
+            group: null
           });
-        } else {
-          await cleanupEmptyHighlightData(url);
-          if (message.notifyRefresh) {
-            await notifyTabHighlightsRefresh([], url);
-          }
-          sendResponse({
-            success: true,
-            highlights: []
+        }
+        sendResponse({
+          success: true,
+          highlights: updatedHighlights
+        });
+        return;
+      }
+
+      // Forward an orphan re-attach request from the pages list to the open page
+      if (message.action === 'reattachOrphan') {
+        const { groupId } = message;
+        const tabs = await findPageTabs(await getPageKey(message.url));
+        if (tabs.length === 0) {
+          sendResponse({ success: false, error: 'pageNotOpen' });
+          return;
+        }
+        try {
+          const response = await browserAPI.tabs.sendMessage(tabs[0].id, {
+            action: 'reattachOrphan',
+            groupId: groupId
           });
+          sendResponse(response || { success: false });
+        } catch (error) {
+          debugLog('Error forwarding re-attach request:', error);
+          sendResponse({ success: false, error: 'pageNotOpen' });
         }
         return;
       }
 
       // Handler for clearing all highlights
       if (message.action === 'clearAllHighlights') {
-        const { url } = message;
+        const url = await getPageKey(message.url);
 
-        // Remove both data and metadata for the URL
-        await cleanupEmptyHighlightData(url);
+        // Move the page with its metadata to the trash
+        await db.trashPages([url]);
 
         // Notify content script to refresh highlights if requested
         if (message.notifyRefresh) {
@@ -538,28 +1399,19 @@ browserAPI.runtime.onMessage.addListener((message, _sender, sendResponse) => {
 
       // Handler for getting all highlighted pages
       if (message.action === 'getAllHighlightedPages') {
-        const result = await browserAPI.storage.local.get(null);
-        const pages = [];
-
-        // Filter items with URLs as keys from storage (exclude metadata and customColors)
-        for (const key in result) {
-          if (key === 'customColors') {
-            continue; // skip customColors key
-          }
-          if (Array.isArray(result[key]) && result[key].length > 0 && !key.endsWith('_meta')) {
-            const url = key;
-            const metaKey = `${url}_meta`;
-            const metadata = result[metaKey] || {};
-
-            pages.push({
-              url: url,
-              highlights: result[url],
-              highlightCount: result[url].length,
-              title: metadata.title || '',
-              lastUpdated: metadata.lastUpdated || ''
-            });
-          }
-        }
+        const storedPages = await db.getAllPages();
+        const pages = storedPages.map(page => ({
+          url: page.url,
+          highlights: page.highlights,
+          highlightCount: page.highlights.length,
+          title: page.title || '',
+          siteName: page.siteName || '',
+          author: page.author || '',
+          publishedAt: page.publishedAt || '',
+          favicon: page.favicon || '',
+          description: page.description || '',
+          lastUpdated: page.lastUpdated || ''
+        }));
 
         debugLog('Retrieved all highlighted pages:', pages);
 
@@ -577,27 +1429,104 @@ browserAPI.runtime.onMessage.addListener((message, _sender, sendResponse) => {
         return;
       }
 
-      // Handler for deleting all highlighted pages
-      if (message.action === 'deleteAllHighlightedPages') {
-        const result = await browserAPI.storage.local.get(null);
-        const keysToDelete = [];
+      // What importing a file would do, page by page, without writing anything.
+      // Import files are checked here, so nothing malformed reaches the database
+      if (message.action === 'previewImport') {
+        const validation = validateExportFile(message.file);
+        if (!validation.success) {
+          sendResponse(validation);
+          return;
+        }
+        sendResponse({
+          success: true,
+          formatVersion: validation.formatVersion,
+          report: validation.report,
+          pages: await previewImport(validation.pages)
+        });
+        return;
+      }
 
-        // Find all highlight data and metadata keys
-        for (const key in result) {
-          if (key === 'customColors') {
-            continue; // skip customColors key
-          }
-          if (Array.isArray(result[key]) && result[key].length > 0 && !key.endsWith('_meta')) {
-            keysToDelete.push(key, `${key}_meta`);
-          }
+      if (message.action === 'importPages') {
+        const validation = validateExportFile(message.file);
+        if (!validation.success) {
+          sendResponse(validation);
+          return;
         }
+        const result = await importPages(validation.pages, message.mode === 'replace' ? 'replace' : 'merge');
+        sendResponse({ success: true, ...result });
+        return;
+      }
+
+      if (message.action === 'exportMarkdown') {
+        const result = await exportMarkdown(Array.isArray(message.urls) ? message.urls : null);
+        sendResponse({ success: true, ...result });
+        return;
+      }
+
+      if (message.action === 'exportCsv') {
+        const result = await exportCsv(Array.isArray(message.pages) ? message.pages : null);
+        sendResponse({ success: true, ...result });
+        return;
+      }
+
+      if (message.action === 'getMarkdownTemplate') {
+        const { markdownTemplate } = await db.getSettings(['markdownTemplate']);
+        sendResponse({
+          template: sanitizeMarkdownTemplate(markdownTemplate),
+          defaultTemplate: DEFAULT_MARKDOWN_TEMPLATE
+        });
+        return;
+      }
+
+      if (message.action === 'getExportFile') {
+        sendResponse({ success: true, file: buildExportFile(await db.getAllPages()) });
+        return;
+      }
 
-        if (keysToDelete.length > 0) {
-          await browserAPI.storage.local.remove(keysToDelete);
-          debugLog('All highlighted pages deleted:', keysToDelete);
+      // Trash view of the pages list
+      if (message.action === 'getTrash') {
+        await purgeExpiredTrash();
+        sendResponse({
+          success: true,
+          items: await db.getTrash(),
+          retentionDays: await getTrashRetentionDays()
+        });
+        return;
+      }
+
+      // Put a trash item back and show it in the tabs that have its page open
+      if (message.action === 'restoreTrashItem') {
+        const restored = await db.restoreTrashItem(message.id);
+        if (!restored) {
+          sendResponse({ success: false, error: 'notFound' });
+          return;
         }
+        debugLog('Restored from trash:', message.id, restored.url, restored.groups.length);
+        for (const group of restored.groups) {
+          await broadcastGroupChange(restored.url, { type: 'add', groupId: group.groupId, group });
+        }
+        sendResponse({ success: true, url: restored.url, restoredCount: restored.groups.length });
+        return;
+      }
+
+      if (message.action === 'deleteTrashItem') {
+        await db.deleteTrashItem(message.id);
+        sendResponse({ success: true });
+        return;
+      }
+
+      if (message.action === 'emptyTrash') {
+        const deletedCount = await db.purgeTrash();
+        sendResponse({ success: true, deletedCount });
+        return;
+      }
+
+      // Handler for deleting all highlighted pages
+      if (message.action === 'deleteAllHighlightedPages') {
+        const deletedCount = await db.trashPages();
+        debugLog('All highlighted pages moved to the trash:', deletedCount);
 
-        sendResponse({ success: true, deletedCount: keysToDelete.length / 2 });
+        sendResponse({ success: true, deletedCount });
         return;
       }
     } catch (error) {
@@ -614,8 +1543,11 @@ browserAPI.runtime.onMessage.addListener((message, _sender, sendResponse) => {
 // -------------------------------------------------------------------
 (async () => {
   try {
+    await databaseReady;
     await loadCustomColors();
     await createOrUpdateContextMenus();
+    await purgeExpiredTrash();
+    await scheduleBackups();
   } catch (e) {
     console.error('Initialization error in background script', e);
   }
@@ -0,0 +1,203 @@
+// Cross-browser compatibility - use chrome API in Chrome, browser API in Firefox
+const browserAPI = (() => {
+  if (typeof browser !== 'undefined') {
+    return browser;
+  }
+  if (typeof chrome !== 'undefined') {
+    return chrome;
+  }
+  throw new Error('Neither browser nor chrome API is available');
+})();
+
+// Function to get messages for multi-language support
+function getMessage(key, defaultValue = '', substitutions = null) {
+  if (browserAPI.i18n) {
+    return browserAPI.i18n.getMessage(key, substitutions) || defaultValue;
+  }
+  return defaultValue;
+}
+
+// Change text of HTML elements to multi-language
+function localizeStaticElements() {
+  const elementsToLocalize = document.querySelectorAll('[data-i18n]');
+  elementsToLocalize.forEach(element => {
+    const key = element.getAttribute('data-i18n');
+    element.textContent = getMessage(key, element.textContent);
+  });
+}
+
+// Backup whose contents are shown in the preview
+let selectedBackupId = null;
+
+function formatDate(isoDate) {
+  const locale = browserAPI.i18n.getUILanguage ? browserAPI.i18n.getUILanguage() : 'en';
+  return new Date(isoDate).toLocaleString(locale);
+}
+
+// Label for why a backup was made
+function getBackupReasonLabel(reason) {
+  if (reason === 'manual') return getMessage('backupReasonManual', 'Manual');
+  if (reason === 'beforeRestore') return getMessage('backupReasonBeforeRestore', 'Before a restore');
+  if (reason === 'beforeNormalize') return getMessage('backupReasonBeforeNormalize', 'Before merging page addresses');
+  return getMessage('backupReasonScheduled', 'Scheduled');
+}
+
+function getCountsText(pageCount, highlightCount) {
+  return getMessage(
+    'backupCounts',
+    `${pageCount} page(s), ${highlightCount} highlight(s)`,
+    [String(pageCount), String(highlightCount)]
+  );
+}
+
+function setStatus(text) {
+  document.getElementById('backups-status').textContent = text;
+}
+
+// Load the list of backups
+async function loadBackups() {
+  const response = await browserAPI.runtime.sendMessage({ action: 'getBackups' });
+  if (!response || !response.success) return;
+
+  const { intervalHours, count } = response.settings;
+  document.getElementById('backups-description').textContent = intervalHours > 0
+    ? getMessage(
+      'backupsDescription',
+      `A backup of all highlights is made every ${intervalHours} hour(s) when something changed. The last ${count} are kept.`,
+      [String(intervalHours), String(count)]
+    )
+    : getMessage('backupsDisabledDescription', 'Scheduled backups are turned off in the settings.');
+
+  const list = document.getElementById('backups-list');
+  list.innerHTML = '';
+  if (response.backups.length === 0) {
+    const emptyItem = document.createElement('div');
+    emptyItem.className = 'no-backups';
+    emptyItem.textContent = getMessage('noBackups', 'No backups yet.');
+    list.appendChild(emptyItem);
+  }
+
+  response.backups.forEach(backup => {
+    const item = document.createElement('div');
+    item.className = 'backup-item';
+    item.classList.toggle('selected', backup.id === selectedBackupId);
+
+    const dateDiv = document.createElement('div');
+    dateDiv.className = 'backup-date';
+    dateDiv.textContent = formatDate(backup.createdAt);
+
+    const infoDiv = document.createElement('div');
+    infoDiv.className = 'backup-info';
+    infoDiv.textContent = `${getBackupReasonLabel(backup.reason)} | ${getCountsText(backup.pageCount, backup.highlightCount)}`;
+
+    const actionsDiv = document.createElement('div');
+    actionsDiv.className = 'backup-actions';
+
+    const previewBtn = document.createElement('button');
+    previewBtn.className = 'btn btn-small btn-secondary';
+    previewBtn.textContent = getMessage('previewBackup', 'Preview');
+    previewBtn.addEventListener('click', () => showPreview(backup.id));
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'btn btn-small btn-secondary';
+    deleteBtn.textContent = getMessage('deleteBackup', 'Delete');
+    deleteBtn.addEventListener('click', () => deleteBackup(backup.id));
+
+    actionsDiv.appendChild(previewBtn);
+    actionsDiv.appendChild(deleteBtn);
+    item.appendChild(dateDiv);
+    item.appendChild(infoDiv);
+    item.appendChild(actionsDiv);
+    list.appendChild(item);
+  });
+}
+
+// Show what a backup contains next to the current data
+async function showPreview(id) {
+  const response = await browserAPI.runtime.sendMessage({ action: 'previewBackup', id });
+  if (!response || !response.success) {
+    alert(getMessage('backupNotFound', 'This backup no longer exists.'));
+    await loadBackups();
+    return;
+  }
+
+  selectedBackupId = id;
+  const { backup, pages } = response;
+  document.getElementById('preview-summary').textContent =
+    `${formatDate(backup.createdAt)} | ${getCountsText(backup.pageCount, backup.highlightCount)}`;
+
+  const pagesList = document.getElementById('preview-pages');
+  pagesList.innerHTML = '';
+  pages.forEach(page => {
+    const row = document.createElement('div');
+    row.className = 'preview-page';
+
+    const titleSpan = document.createElement('span');
+    titleSpan.className = 'preview-page-title';
+    titleSpan.textContent = page.title || page.url;
+    titleSpan.title = page.url;
+
+    // Highlights in the backup, and on the page now
+    const countsSpan = document.createElement('span');
+    countsSpan.className = 'preview-page-counts';
+    countsSpan.textContent = getMessage(
+      'backupPageCounts',
+      `${page.highlightCount} in backup / ${page.currentCount} now`,
+      [String(page.highlightCount), String(page.currentCount)]
+    );
+
+    row.appendChild(titleSpan);
+    row.appendChild(countsSpan);
+    pagesList.appendChild(row);
+  });
+
+  document.getElementById('preview-section').style.display = 'block';
+  await loadBackups();
+}
+
+async function restoreSelectedBackup(mode) {
+  if (selectedBackupId === null) return;
+  const confirmMessage = mode === 'replace'
+    ? getMessage('confirmReplaceWithBackup', 'Replace all current highlights with this backup? A backup of the current data is made first.')
+    : getMessage('confirmMergeBackup', 'Add the highlights of this backup that are missing now?');
+  if (!confirm(confirmMessage)) return;
+
+  const response = await browserAPI.runtime.sendMessage({ action: 'restoreBackup', id: selectedBackupId, mode });
+  if (response && response.success) {
+    setStatus(getMessage('backupRestored', 'Backup restored.'));
+  } else {
+    alert(getMessage('backupNotFound', 'This backup no longer exists.'));
+  }
+  document.getElementById('preview-section').style.display = 'none';
+  selectedBackupId = null;
+  await loadBackups();
+}
+
+async function deleteBackup(id) {
+  if (!confirm(getMessage('confirmDeleteBackup', 'Delete this backup?'))) return;
+  await browserAPI.runtime.sendMessage({ action: 'deleteBackup', id });
+  if (id === selectedBackupId) {
+    document.getElementById('preview-section').style.display = 'none';
+    selectedBackupId = null;
+  }
+  await loadBackups();
+}
+
+document.addEventListener('DOMContentLoaded', async function () {
+  // Enable transition after page load
+  setTimeout(() => {
+    document.body.classList.remove('preload');
+  }, 50);
+
+  localizeStaticElements();
+
+  document.getElementById('backup-now-btn').addEventListener('click', async () => {
+    await browserAPI.runtime.sendMessage({ action: 'createBackup' });
+    setStatus(getMessage('backupCreated', 'Backup created.'));
+    await loadBackups();
+  });
+  document.getElementById('merge-backup-btn').addEventListener('click', () => restoreSelectedBackup('merge'));
+  document.getElementById('replace-backup-btn').addEventListener('click', () => restoreSelectedBackup('replace'));
+
+  await loadBackups();
+});
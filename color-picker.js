@@ -231,11 +231,16 @@ function initPresetColors() {
   });
 }
 
+// Custom colors are stored by the background script
+async function getStoredCustomColors() {
+  const response = await browserAPI.runtime.sendMessage({ action: 'getSettings', keys: ['customColors'] });
+  return (response && response.settings && response.settings.customColors) || [];
+}
+
 // Load custom colors from storage
 async function loadCustomColors() {
   try {
-    const result = await browserAPI.storage.local.get(['customColors']);
-    const customColors = result.customColors || [];
+    const customColors = await getStoredCustomColors();
     displayCustomColors(customColors);
     updateColorLimitInfo(customColors.length);
   } catch (error) {
@@ -297,8 +302,7 @@ function updateColorLimitInfo(currentCount) {
 // Add a new custom color
 async function addColor(colorValue) {
   try {
-    const result = await browserAPI.storage.local.get(['customColors']);
-    let customColors = result.customColors || [];
+    let customColors = await getStoredCustomColors();
     
     // Check maximum limit
     if (customColors.length >= MAX_CUSTOM_COLORS) {
@@ -325,7 +329,7 @@ async function addColor(colorValue) {
     customColors.push(newColor);
     
     // Save to storage
-    await browserAPI.storage.local.set({ customColors });
+    await browserAPI.runtime.sendMessage({ action: 'setSettings', settings: { customColors } });
     
     // Notify background script
     browserAPI.runtime.sendMessage({ action: 'customColorsUpdated' });
@@ -342,8 +346,7 @@ async function addColor(colorValue) {
 // Delete a custom color with proper number shifting
 async function deleteColor(colorId) {
   try {
-    const result = await browserAPI.storage.local.get(['customColors']);
-    let customColors = result.customColors || [];
+    let customColors = await getStoredCustomColors();
     
     // Filter out the deleted color
     customColors = customColors.filter(c => c.id !== colorId);
@@ -354,7 +357,7 @@ async function deleteColor(colorId) {
     });
     
     // Save to storage
-    await browserAPI.storage.local.set({ customColors });
+    await browserAPI.runtime.sendMessage({ action: 'setSettings', settings: { customColors } });
     
     // Notify background script
     browserAPI.runtime.sendMessage({ action: 'customColorsUpdated' });
@@ -1,11 +1,29 @@
 let highlights = [];
-const currentUrl = window.location.href;
+// Address of the page currently shown; changes on single-page-app navigations
+let currentUrl = resolvePageUrl();
+// Storage key the background resolved for this page from its address and canonical link
+let pageKey = null;
+
+// The content script also runs in embedded frames. Their highlights are stored with the
+// top-level page, tagged with the frame key of the frame they belong to.
+const IS_TOP_FRAME = window === window.top;
+let frameKey = resolveFrameKey();
 
 let currentColors = [];
 
+// Reasons a highlight group could not be placed on the page
+const ORPHAN_REASON_TEXT_NOT_FOUND = 'textNotFound';
+const ORPHAN_REASON_SEQUENCE_BROKEN = 'sequenceBroken';
+
 // Minimap manager instance
 let minimapManager = null;
 
+// Set when highlights are painted with the CSS Custom Highlight API instead of wrapper spans
+let customHighlightRenderer = null;
+
+// Identifies this content script in change broadcasts, so it skips its own changes
+const INSTANCE_ID = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+
 // i18n support function
 function getMessage(key, substitutions = null) {
   return browserAPI.i18n.getMessage(key, substitutions);
@@ -13,32 +31,70 @@ function getMessage(key, substitutions = null) {
 
 debugLog('Content script loaded for:', currentUrl);
 
-getColorsFromBackground().then(() => {
-  setTimeout(() => {
-    loadHighlights();
-    createHighlightControls();
-  }, 500);
-}).catch(error => {
+// Stored highlights are restored even when the colors could not be loaded
+getColorsFromBackground().catch(error => {
   console.error('Failed to load colors from background:', error);
+}).then(() => {
   createHighlightControls();
+  return Promise.all([loadRenderingSetting(), whenPageReady()]);
+}).then(() => {
+  loadHighlights();
+  watchPageMetadata();
 });
 
 // Event listener is now combined below to handle both highlight and selection controls
 
+// Single-page apps change the URL without reloading the content script.
+// popstate and hashchange are visible here; pushState/replaceState are reported by
+// the background script through webNavigation.onHistoryStateUpdated.
+window.addEventListener('popstate', handleLocationChange);
+window.addEventListener('hashchange', handleLocationChange);
+// Pages restored from the back/forward cache do not run the content script again
+window.addEventListener('pageshow', handlePageShow);
+
 // Handle messages received from background
 browserAPI.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.action === 'highlight') {
+    // Keyboard commands reach every frame; only the focused one owns the selection
+    if (message.focusedFrameOnly && !isFocusedFrame()) return;
     highlightSelectedText(message.color);
     sendResponse({ success: true });
   }
   else if (message.action === 'refreshHighlights') {
     debugLog('Refreshing highlights:', message.highlights);
-    highlights = message.highlights || [];
+    highlights = (message.highlights || []).filter(isOwnGroup);
+    // The undo history refers to the replaced state
+    clearHistory();
     clearAllHighlights();
     applyHighlights();
     sendResponse({ success: true });
     return true;
   }
+  else if (message.action === 'getHighlightHistory') {
+    sendResponse(getHistoryState());
+    return true;
+  }
+  else if (message.action === 'undoHighlightEdit' || message.action === 'redoHighlightEdit') {
+    const done = message.action === 'undoHighlightEdit' ? undoHighlightEdit() : redoHighlightEdit();
+    sendResponse({ success: done, ...getHistoryState() });
+    return true;
+  }
+  else if (message.action === 'highlightGroupChanged') {
+    applyRemoteGroupChange(message);
+    sendResponse({ success: true });
+    return true;
+  }
+  else if (message.action === 'locationChanged') {
+    handleLocationChange();
+    sendResponse({ success: true });
+    return true;
+  }
+  else if (message.action === 'reattachOrphan') {
+    // Leave the answer to the frame the group belongs to
+    if (!highlights.some(g => g.groupId === message.groupId)) return;
+    sendResponse(reattachHighlightGroup(message.groupId));
+    return true;
+  }
   else if (message.action === 'colorsUpdated') {
     currentColors = message.colors || currentColors;
     refreshHighlightControlsColors();
@@ -49,221 +105,1647 @@ browserAPI.runtime.onMessage.addListener((message, sender, sendResponse) => {
     if (minimapManager) {
       minimapManager.setVisibility(message.visible);
     }
-    sendResponse({ success: true });
-    return true;
+    sendResponse({ success: true });
+    return true;
+  }
+  else if (message.action === 'setNonDestructiveRendering') {
+    setNonDestructiveRendering(message.enabled);
+    sendResponse({ success: true });
+    return true;
+  }
+  else if (message.action === 'setSelectionControlsVisibility') {
+    setSelectionControlsVisibility(message.visible);
+    sendResponse({ success: true });
+    return true;
+  }
+});
+
+// Function to asynchronously get color information from Background Service Worker
+function getColorsFromBackground() {
+  return new Promise((resolve, reject) => {
+    browserAPI.runtime.sendMessage({ action: 'getColors' }, (response) => {
+      if (browserAPI.runtime.lastError) {
+        console.error('Error getting colors:', browserAPI.runtime.lastError);
+        return reject(browserAPI.runtime.lastError);
+      }
+      if (response && response.colors) {
+        currentColors = response.colors;
+        debugLog('Received colors from background:', currentColors);
+        resolve();
+      } else {
+        reject('Invalid response from background for colors.');
+      }
+    });
+  });
+}
+
+// Resolve the address of the page currently shown
+function resolvePageUrl() {
+  return window.location.href;
+}
+
+// href of the page's <link rel="canonical">, which the background may use as the storage key
+function getCanonicalUrl() {
+  if (!IS_TOP_FRAME) return null;
+  const link = document.querySelector('link[rel~="canonical"][href]');
+  return link ? link.href : null;
+}
+
+// ============ PAGE METADATA ============
+
+// Quiet period after the last change in <head> before changed metadata is reported
+const PAGE_METADATA_DEBOUNCE_MS = 1000;
+
+let pageMetadataTimer = null;
+// Metadata last reported for the current page, as JSON
+let reportedPageMetadata = null;
+
+// content attribute of the first matching <meta>, or ''
+function getMetaContent(selectors) {
+  for (const selector of selectors) {
+    const element = document.querySelector(selector);
+    if (element && element.content && element.content.trim()) {
+      return element.content.trim();
+    }
+  }
+  return '';
+}
+
+// Objects described by the page's JSON-LD blocks, with @graph lists flattened
+function getJsonLdItems() {
+  const items = [];
+  const collect = (value) => {
+    if (Array.isArray(value)) {
+      value.forEach(collect);
+    } else if (value && typeof value === 'object') {
+      items.push(value);
+      if (value['@graph']) collect(value['@graph']);
+    }
+  };
+  document.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+    try {
+      collect(JSON.parse(script.textContent));
+    } catch (error) {
+      debugLog('Ignoring malformed JSON-LD:', error);
+    }
+  });
+  return items;
+}
+
+// Name of a JSON-LD person or organization, or of the first one in a list
+function getJsonLdName(value) {
+  if (Array.isArray(value)) return getJsonLdName(value[0]);
+  if (typeof value === 'string') return value;
+  return value && typeof value.name === 'string' ? value.name : '';
+}
+
+/**
+ * Describe the page from its <title>, meta tags and JSON-LD.
+ * Only the top-level document describes the page; embedded frames return null.
+ * @returns {Object|null} { title, siteName, author, publishedAt, favicon, description }
+ */
+function collectPageMetadata() {
+  if (!IS_TOP_FRAME) return null;
+
+  const jsonLd = getJsonLdItems();
+  const article = jsonLd.find(item => item.datePublished || item.author || item.headline) || {};
+  const website = jsonLd.find(item => item['@type'] === 'WebSite') || {};
+  const publisher = article.publisher || {};
+  const icon = document.querySelector('link[rel~="icon"][href], link[rel="apple-touch-icon"][href]');
+
+  return {
+    title: document.title.trim(),
+    siteName: getMetaContent(['meta[property="og:site_name"]', 'meta[name="application-name"]']) ||
+      getJsonLdName(publisher) || getJsonLdName(website),
+    author: getMetaContent(['meta[name="author"]', 'meta[property="article:author"]']) ||
+      getJsonLdName(article.author),
+    publishedAt: getMetaContent(['meta[property="article:published_time"]', 'meta[name="date"]']) ||
+      (typeof article.datePublished === 'string' ? article.datePublished : ''),
+    favicon: icon ? icon.href : new URL('/favicon.ico', window.location.href).href,
+    description: getMetaContent(['meta[name="description"]', 'meta[property="og:description"]']) ||
+      (typeof article.description === 'string' ? article.description : '')
+  };
+}
+
+// Send the page metadata to storage when it differs from what was last reported.
+// Pages without highlights are not stored, so there is nothing to update for them.
+function reportPageMetadata() {
+  if (!IS_TOP_FRAME || !pageKey || highlights.length === 0) return;
+  const pageMeta = collectPageMetadata();
+  const serialized = JSON.stringify(pageMeta);
+  if (serialized === reportedPageMetadata) return;
+  reportedPageMetadata = serialized;
+
+  browserAPI.runtime.sendMessage({
+    action: 'updatePageMetadata',
+    url: currentUrl,
+    pageKey: pageKey,
+    canonicalUrl: getCanonicalUrl(),
+    pageMeta: pageMeta
+  }, (response) => {
+    if (browserAPI.runtime.lastError) {
+      debugLog('Error updating page metadata:', browserAPI.runtime.lastError);
+      return;
+    }
+    debugLog('Page metadata reported:', response && response.updated);
+  });
+}
+
+// Keep the stored title up to date when the page changes document.title after load
+function watchPageMetadata() {
+  if (!IS_TOP_FRAME) return;
+  const observer = new MutationObserver(() => {
+    clearTimeout(pageMetadataTimer);
+    pageMetadataTimer = setTimeout(reportPageMetadata, PAGE_METADATA_DEBOUNCE_MS);
+  });
+  observer.observe(document.head || document.documentElement, {
+    childList: true,
+    subtree: true,
+    characterData: true,
+    attributes: true,
+    attributeFilter: ['content', 'href']
+  });
+}
+
+/**
+ * Identify this frame inside the top-level page.
+ * Frames are keyed by their own URL, followed by " N" when N frames earlier in the page
+ * show the same URL; frames without a meaningful URL (about:blank, srcdoc, blob:) use
+ * their index path among the frames of their ancestors instead.
+ * @returns {string|null} Frame key, or null in the top-level document
+ */
+function resolveFrameKey() {
+  if (IS_TOP_FRAME) return null;
+  if (/^(https?|file|ftp):$/.test(window.location.protocol)) {
+    const href = window.location.href;
+    const earlier = countEarlierFramesAt(href);
+    return earlier > 0 ? `${href} ${earlier}` : href;
+  }
+
+  const indexes = [];
+  let current = window;
+  while (current !== window.top) {
+    const parentFrames = current.parent.frames;
+    let index = 0;
+    while (index < parentFrames.length && parentFrames[index] !== current) {
+      index++;
+    }
+    indexes.unshift(index);
+    current = current.parent;
+  }
+  return `frame:${indexes.join('.')}`;
+}
+
+// Frames showing `href` that come before this one in the page's frame tree, in document order.
+// Frames of other origins cannot be read, and cannot show the same URL anyway.
+function countEarlierFramesAt(href) {
+  let count = 0;
+  let found = false;
+  const visit = (parentWindow) => {
+    for (let i = 0; i < parentWindow.frames.length && !found; i++) {
+      const child = parentWindow.frames[i];
+      if (child === window) {
+        found = true;
+        return;
+      }
+      try {
+        if (child.location.href === href) count++;
+      } catch (error) {
+        // Cross-origin frame
+      }
+      visit(child);
+    }
+  };
+  visit(window.top);
+  return count;
+}
+
+// Whether a stored group belongs to this frame
+function isOwnGroup(group) {
+  return (group.frame || null) === frameKey;
+}
+
+// Whether this frame has keyboard focus itself (not through one of its child frames)
+function isFocusedFrame() {
+  if (!document.hasFocus()) return false;
+  const activeElement = document.activeElement;
+  return !activeElement || !['IFRAME', 'FRAME'].includes(activeElement.tagName);
+}
+
+// Switch to the highlights of the new page after an in-app navigation
+function handleLocationChange() {
+  const newUrl = resolvePageUrl();
+  if (newUrl === currentUrl) return;
+
+  debugLog('Page URL changed:', currentUrl, '->', newUrl);
+  stopReanchorLoop();
+  hideHighlightControls();
+  clearAllHighlights();
+  highlights = [];
+  clearHistory();
+  currentUrl = newUrl;
+  pageKey = null;
+  reportedPageMetadata = null;
+  frameKey = resolveFrameKey();
+  updateMinimapMarkers();
+  loadHighlights();
+}
+
+// ============ PAGE READINESS ============
+
+// Quiet period without content mutations after which a loaded page counts as ready
+const DOM_STABLE_WINDOW_MS = 200;
+// Longest wait for a busy page to settle before highlights are restored anyway
+const DOM_STABLE_MAX_WAIT_MS = 5000;
+
+/**
+ * Resolve once the page is ready for highlights to be restored: when the document has
+ * loaded and then had no content mutations for DOM_STABLE_WINDOW_MS, since many pages
+ * still render their content after the load event. Pages that never settle are given
+ * DOM_STABLE_MAX_WAIT_MS.
+ */
+function whenPageReady() {
+  return new Promise((resolve) => {
+    let loaded = document.readyState === 'complete';
+    let quietTimer = null;
+    let maxWaitTimer = null;
+    let observer = null;
+    const startTime = performance.now();
+
+    const finish = (reason) => {
+      clearTimeout(quietTimer);
+      clearTimeout(maxWaitTimer);
+      if (observer) observer.disconnect();
+      window.removeEventListener('load', onLoad);
+      debugLog('Page ready:', reason, `${Math.round(performance.now() - startTime)}ms`);
+      resolve();
+    };
+    // The quiet period only counts once the document has loaded
+    const restartQuietTimer = () => {
+      if (!loaded) return;
+      clearTimeout(quietTimer);
+      quietTimer = setTimeout(() => finish('dom stable'), DOM_STABLE_WINDOW_MS);
+    };
+    const onLoad = () => {
+      loaded = true;
+      restartQuietTimer();
+    };
+
+    observer = new MutationObserver((mutations) => {
+      if (mutations.some(isPageTextMutation)) {
+        restartQuietTimer();
+      }
+    });
+    observer.observe(document.documentElement, { childList: true, subtree: true, characterData: true });
+    if (!loaded) window.addEventListener('load', onLoad);
+    maxWaitTimer = setTimeout(() => finish('timeout'), DOM_STABLE_MAX_WAIT_MS);
+    restartQuietTimer();
+  });
+}
+
+// Reload highlights when the page comes back from the back/forward cache,
+// since they may have been changed from another tab in the meantime
+function handlePageShow(event) {
+  if (!event.persisted) return;
+
+  debugLog('Page restored from the back/forward cache');
+  stopReanchorLoop();
+  hideHighlightControls();
+  clearAllHighlights();
+  highlights = [];
+  clearHistory();
+  currentUrl = resolvePageUrl();
+  pageKey = null;
+  reportedPageMetadata = null;
+  frameKey = resolveFrameKey();
+  loadHighlights();
+}
+
+function loadHighlights() {
+  const requestedUrl = currentUrl;
+  debugLog('Loading highlights for URL:', requestedUrl);
+
+  browserAPI.runtime.sendMessage(
+    { action: 'getHighlights', url: requestedUrl, canonicalUrl: getCanonicalUrl(), frame: frameKey },
+    (response) => {
+      // Ignore responses for a page we already navigated away from
+      if (requestedUrl !== currentUrl) return;
+
+      debugLog('Got highlights response:', response);
+      if (response && response.pageKey) {
+        pageKey = response.pageKey;
+      }
+      if (response && response.highlights) {
+        highlights = response.highlights;
+        applyHighlights();
+        reportPageMetadata();
+      } else {
+        debugLog('No highlights found or invalid response');
+      }
+
+      // The minimap belongs to the top-level page; embedded frames report their markers to it
+      if (IS_TOP_FRAME && !minimapManager) {
+        initMinimap();
+      }
+    }
+  );
+}
+
+// ============ STORAGE OPERATIONS ============
+
+// Group changes are sent one at a time so each one is based on the revision the previous one returned
+let groupOperationQueue = Promise.resolve();
+
+/**
+ * Store a change to one group. Every stored group carries a revision; updates and
+ * removals name the revision they were based on, and the background rejects them when
+ * the group was changed elsewhere in the meantime (another tab, the popup). The page's
+ * highlights are then reloaded from storage.
+ * @param {string} type - 'add', 'update' or 'remove'
+ * @param {Object} group - The group (only groupId and revision are used for 'remove')
+ * @param {Object} [options] - { trash: keep a removed group in the trash,
+ *   untrash: take an added group out of the trash it was deleted to }
+ */
+function sendGroupOperation(type, group, options = {}) {
+  const groupId = group.groupId;
+  // The page this change belongs to, even if the page navigates before it is sent
+  const target = {
+    url: currentUrl,
+    pageKey: pageKey,
+    canonicalUrl: getCanonicalUrl(),
+    frame: frameKey,
+    // Only an added group can create the page record; later changes of the metadata are
+    // sent by reportPageMetadata()
+    pageMeta: type === 'add' ? collectPageMetadata() : null
+  };
+  groupOperationQueue = groupOperationQueue.then(() => new Promise((resolve) => {
+    // Removed here while queued: the queued removal takes care of storage
+    if (type !== 'remove' && !highlights.some(g => g.groupId === groupId)) {
+      resolve();
+      return;
+    }
+
+    // The queued group object carries the latest local edits, and its revision only moves
+    // with the answers to this frame's own operations. A change made elsewhere replaces the
+    // object in `highlights` instead, so this one is then stale and the background rejects it.
+    const message = {
+      action: `${type}HighlightGroup`,
+      ...target,
+      originId: INSTANCE_ID,
+      groupId: groupId,
+      baseRevision: group.revision || 0
+    };
+    if (type !== 'remove') {
+      message.group = group;
+    }
+    if (options.trash) {
+      message.trash = true;
+    }
+    if (options.untrash) {
+      message.untrash = true;
+    }
+
+    browserAPI.runtime.sendMessage(message, (response) => {
+      if (browserAPI.runtime.lastError) {
+        debugLog('Error storing highlight change:', browserAPI.runtime.lastError);
+      } else if (response && response.success) {
+        if (type !== 'remove') group.revision = response.revision;
+        debugLog('Highlight change stored:', type, groupId, response.revision);
+      } else if (response && response.conflict) {
+        debugLog('Highlight change rejected as stale, reloading highlights:', type, groupId);
+        if (target.url === currentUrl) reloadHighlights();
+      }
+      resolve();
+    });
+  }));
+}
+
+function addHighlightGroupToStorage(group) {
+  sendGroupOperation('add', group);
+}
+
+function saveHighlightGroup(group) {
+  sendGroupOperation('update', group);
+}
+
+function removeHighlightGroupFromStorage(group, options) {
+  sendGroupOperation('remove', group, options);
+}
+
+/**
+ * Apply a group change made in another tab or frame, or from the extension pages.
+ * Only the affected group is repainted.
+ * @param {Object} change - { pageKey, originId, type, groupId, group }
+ */
+function applyRemoteGroupChange(change) {
+  if (change.originId === INSTANCE_ID || !pageKey || change.pageKey !== pageKey) return;
+
+  const local = highlights.find(g => g.groupId === change.groupId);
+  if (change.type === 'remove') {
+    if (!local) return;
+    debugLog('Highlight group removed elsewhere:', change.groupId);
+    forgetGroupHistory(change.groupId);
+    unpaintHighlightGroup(change.groupId);
+    highlights = highlights.filter(g => g !== local);
+    pendingGroups.delete(change.groupId);
+    if (activeHighlightGroupId === change.groupId) {
+      hideHighlightControls();
+    }
+    updateMinimapMarkers();
+    return;
+  }
+
+  const group = change.group;
+  if (!group || !isOwnGroup(group)) return;
+  // Already up to date (the change may arrive after a reload that included it)
+  if (local && (local.revision || 0) >= group.revision) return;
+
+  debugLog('Highlight group changed elsewhere:', change.type, change.groupId);
+  forgetGroupHistory(change.groupId);
+  if (local) {
+    unpaintHighlightGroup(change.groupId);
+    highlights[highlights.indexOf(local)] = group;
+    if (activeHighlightGroupId === change.groupId) {
+      hideHighlightControls();
+    }
+  } else {
+    highlights.push(group);
+  }
+
+  // The change was anchored where it was made; a group missing here waits for late content
+  const orphanReason = placeHighlightGroup(group);
+  if (orphanReason) {
+    startReanchorLoop(new Map(pendingGroups).set(group.groupId, orphanReason));
+  } else {
+    pendingGroups.delete(group.groupId);
+  }
+  updateMinimapMarkers();
+}
+
+// Replace the highlights on the page with the stored ones.
+// The undo history refers to the replaced state, so it is dropped.
+function reloadHighlights() {
+  clearHistory();
+  stopReanchorLoop();
+  hideHighlightControls();
+  clearAllHighlights();
+  highlights = [];
+  loadHighlights();
+}
+
+// ============ UNDO HISTORY ============
+
+// Most edits kept for undo on the current page
+const UNDO_HISTORY_LIMIT = 50;
+
+// Edits that can be undone / redone, each a list of { groupId, before, after }
+let undoStack = [];
+let redoStack = [];
+// Time of the last edit, undo or redo, used to pick the frame a keyboard command acts on
+let lastHistoryTime = 0;
+
+// State of a group to restore later, without its storage bookkeeping
+function snapshotGroup(group) {
+  const { revision, updatedAt, ...state } = JSON.parse(JSON.stringify(group));
+  return state;
+}
+
+/**
+ * Record an edit for undo. Each change holds one group's state before and after the
+ * edit (null where the group does not exist), as taken by snapshotGroup().
+ * @param {Array} changes - [{ groupId, before, after }]
+ */
+function recordHistory(changes) {
+  undoStack.push(changes);
+  if (undoStack.length > UNDO_HISTORY_LIMIT) {
+    undoStack.shift();
+  }
+  redoStack = [];
+  lastHistoryTime = Date.now();
+}
+
+// Drop the edits involving a group that was changed elsewhere: their snapshots are stale,
+// and replaying one would silently overwrite the other change
+function forgetGroupHistory(groupId) {
+  const untouched = changes => !changes.some(change => change.groupId === groupId);
+  const latest = undoStack[undoStack.length - 1];
+  undoStack = undoStack.filter(untouched);
+  redoStack = redoStack.filter(untouched);
+  if (latest && !untouched(latest)) {
+    hideUndoToast();
+  }
+}
+
+function clearHistory() {
+  undoStack = [];
+  redoStack = [];
+  lastHistoryTime = 0;
+  hideUndoToast();
+}
+
+// What undo and redo can do in this frame, reported to the popup and keyboard commands
+function getHistoryState() {
+  return {
+    canUndo: undoStack.length > 0,
+    canRedo: redoStack.length > 0,
+    lastEditTime: lastHistoryTime
+  };
+}
+
+function undoHighlightEdit() {
+  const changes = undoStack.pop();
+  if (!changes) return false;
+  // Later changes of an edit may depend on earlier ones: revert them in reverse
+  restoreGroupStates([...changes].reverse().map(change => ({ groupId: change.groupId, state: change.before })));
+  redoStack.push(changes);
+  lastHistoryTime = Date.now();
+  hideUndoToast();
+  debugLog('Undid highlight edit:', changes.map(change => change.groupId));
+  return true;
+}
+
+function redoHighlightEdit() {
+  const changes = redoStack.pop();
+  if (!changes) return false;
+  restoreGroupStates(changes.map(change => ({ groupId: change.groupId, state: change.after })));
+  undoStack.push(changes);
+  lastHistoryTime = Date.now();
+  debugLog('Redid highlight edit:', changes.map(change => change.groupId));
+  return true;
+}
+
+/**
+ * Bring groups back to recorded states, repainting and storing each of them.
+ * @param {Array} states - [{ groupId, state }] where a null state removes the group
+ */
+function restoreGroupStates(states) {
+  hideHighlightControls();
+  states.forEach(({ groupId, state }) => {
+    const local = highlights.find(g => g.groupId === groupId);
+    if (local) {
+      unpaintHighlightGroup(groupId);
+      pendingGroups.delete(groupId);
+    }
+
+    if (!state) {
+      if (local) {
+        highlights = highlights.filter(g => g !== local);
+        removeHighlightGroupFromStorage(local);
+      }
+      return;
+    }
+
+    let group = local;
+    if (local) {
+      // Changed in place: the revision stays, and queued storage operations hold this object
+      Object.keys(local).forEach(key => {
+        if (key !== 'revision') delete local[key];
+      });
+      Object.assign(local, JSON.parse(JSON.stringify(state)));
+    } else {
+      group = JSON.parse(JSON.stringify(state));
+      highlights.push(group);
+    }
+    const orphanReason = placeHighlightGroup(group);
+    if (orphanReason) {
+      markGroupOrphaned(group, orphanReason);
+    }
+    if (local) {
+      saveHighlightGroup(group);
+    } else {
+      // Brought back after a deletion: take it out of the trash too
+      sendGroupOperation('add', group, { untrash: true });
+    }
+  });
+  updateMinimapMarkers();
+}
+
+function removeHighlightGroup(groupId) {
+  if (!groupId) return;
+  unpaintHighlightGroup(groupId);
+  // highlights 배열에서 그룹 삭제
+  const group = highlights.find(g => g.groupId === groupId);
+  highlights = highlights.filter(g => g.groupId !== groupId);
+  if (group) {
+    recordHistory([{ groupId, before: snapshotGroup(group), after: null }]);
+    removeHighlightGroupFromStorage(group, { trash: true });
+    showUndoToast(getMessage('highlightDeleted'));
+  }
+  updateMinimapMarkers();
+  if (activeHighlightGroupId === groupId) {
+    hideHighlightControls();
+  }
+}
+
+function changeHighlightGroupColor(groupId, newColor) {
+  if (!groupId) return;
+  // DOM의 모든 span 색상 변경
+  const groupSpans = queryHighlightElements(`.text-highlighter-extension[data-group-id='${groupId}']`);
+  groupSpans.forEach(span => {
+    span.style.backgroundColor = newColor;
+  });
+  if (customHighlightRenderer) {
+    customHighlightRenderer.setColor(groupId, newColor);
+  }
+  // highlights 배열에서 색상 변경
+  const group = highlights.find(g => g.groupId === groupId);
+  if (group && group.color !== newColor) {
+    const before = snapshotGroup(group);
+    group.color = newColor;
+    recordHistory([{ groupId, before, after: snapshotGroup(group) }]);
+    saveHighlightGroup(group);
+    updateMinimapMarkers();
+  }
+}
+
+// Remove a group from the page without touching the stored highlights
+function unpaintHighlightGroup(groupId) {
+  const groupSpans = queryHighlightElements(`.text-highlighter-extension[data-group-id='${groupId}']`);
+  groupSpans.forEach(span => unwrapHighlightSpan(span));
+  if (customHighlightRenderer) {
+    customHighlightRenderer.remove(groupId);
+  }
+}
+
+// Remove all highlights from the page
+function clearAllHighlights() {
+  debugLog('Clearing all highlights');
+  cancelApplyHighlights();
+  const highlightElements = queryHighlightElements('.text-highlighter-extension');
+  highlightElements.forEach(element => unwrapHighlightSpan(element));
+  if (customHighlightRenderer) {
+    customHighlightRenderer.clear();
+  }
+}
+
+/**
+ * First painted piece of every highlight group on the page, for either renderer.
+ * @returns {Array} { groupId, color, target } where target is a span element or a Range
+ */
+function getHighlightGroupAnchors() {
+  const anchors = [];
+  const seenGroups = new Set();
+  queryHighlightElements('.text-highlighter-extension').forEach(element => {
+    const groupId = element.dataset.groupId;
+    if (seenGroups.has(groupId)) return;
+    seenGroups.add(groupId);
+    anchors.push({ groupId, color: element.style.backgroundColor, target: element });
+  });
+  if (customHighlightRenderer) {
+    customHighlightRenderer.getGroupAnchors().forEach(({ groupId, color, range }) => {
+      anchors.push({ groupId, color, target: range });
+    });
+  }
+  return anchors;
+}
+
+// Painted pieces of a group in document order: its spans, or its ranges with the Custom Highlight API
+function getHighlightGroupPieces(groupId) {
+  if (customHighlightRenderer && customHighlightRenderer.has(groupId)) {
+    return customHighlightRenderer.getRanges(groupId);
+  }
+  return queryHighlightElements(`.text-highlighter-extension[data-group-id='${groupId}']`);
+}
+
+// [start, end) character offsets of the index text covered by a group's painted pieces
+function getPiecesTextRange(index, pieces) {
+  const first = pieces[0];
+  const last = pieces[pieces.length - 1];
+  if (first instanceof Range) {
+    return [
+      index.offsetOf(first.startContainer, first.startOffset),
+      index.offsetOf(last.endContainer, last.endOffset)
+    ];
+  }
+  return [index.offsetOf(first, 0), index.offsetOf(last, last.childNodes.length)];
+}
+
+/**
+ * Text root, index and [start, end) offsets of a painted group, or null if it is not on the page.
+ * @param {string} groupId - Group to locate
+ * @param {Map} [indexes] - Text root -> TextIndex to reuse across calls; a fresh index is built otherwise
+ */
+function getGroupTextSpan(groupId, indexes = null) {
+  const pieces = getHighlightGroupPieces(groupId);
+  if (pieces.length === 0) return null;
+  const firstNode = pieces[0] instanceof Range ? pieces[0].startContainer : pieces[0];
+  const root = getTextRoot(firstNode);
+  let index = indexes && indexes.get(root);
+  if (!index) {
+    index = new TextIndex(root);
+    if (indexes) indexes.set(root, index);
+  }
+  const [start, end] = getPiecesTextRange(index, pieces);
+  return { root, index, start, end };
+}
+
+// Repaint a group over [start, end) of its root and rewrite its stored text, spans and anchors
+function repaintHighlightGroup(group, root, start, end) {
+  unpaintHighlightGroup(group.groupId);
+  const index = new TextIndex(root);
+  const pieces = renderHighlightGroup(group, index, start, end);
+  group.selectors = describeTextRange(index, start, end);
+  group.text = index.text.slice(start, end);
+  group.spans = pieces.map((piece, spanIndex) => getSpanInfo(piece, `${group.groupId}_${spanIndex}`));
+  delete group.anchorStatus;
+  delete group.anchorConfidence;
+}
+
+// Group id that is not used by any group on this page yet
+function createUniqueGroupId() {
+  let id = Date.now();
+  while (highlights.some(g => g.groupId === id.toString())) {
+    id++;
+  }
+  return id.toString();
+}
+
+/**
+ * Merge a group with its nearest neighbor (the next group in the text, or the previous
+ * one if it is the last). Groups overlapping this one are not neighbors. The merged
+ * group keeps this group's id, color and metadata.
+ * @param {string} groupId - Group to merge
+ * @returns {boolean} Whether a merge happened
+ */
+function mergeHighlightGroup(groupId) {
+  const group = highlights.find(g => g.groupId === groupId);
+  // The page text does not change while looking for the neighbor, so one index per root will do
+  const indexes = new Map();
+  const current = getGroupTextSpan(groupId, indexes);
+  if (!group || !current) return false;
+
+  let next = null;
+  let previous = null;
+  highlights.forEach(other => {
+    if (other.groupId === groupId) return;
+    const otherSpan = getGroupTextSpan(other.groupId, indexes);
+    if (!otherSpan || otherSpan.root !== current.root) return;
+    if (otherSpan.start >= current.end &&
+      (!next || otherSpan.start < next.span.start)) {
+      next = { group: other, span: otherSpan };
+    } else if (otherSpan.end <= current.start &&
+      (!previous || otherSpan.end > previous.span.end)) {
+      previous = { group: other, span: otherSpan };
+    }
+  });
+  const neighbor = next || previous;
+  if (!neighbor) {
+    debugLog('No neighboring highlight to merge with:', groupId);
+    return false;
+  }
+
+  const groupBefore = snapshotGroup(group);
+
+  // Metadata only the neighbor has is carried over
+  Object.keys(neighbor.group).forEach(key => {
+    if (key !== 'revision' && !(key in group)) group[key] = neighbor.group[key];
+  });
+  delete group.orphan;
+
+  unpaintHighlightGroup(neighbor.group.groupId);
+  highlights = highlights.filter(g => g.groupId !== neighbor.group.groupId);
+  repaintHighlightGroup(
+    group,
+    current.root,
+    Math.min(current.start, neighbor.span.start),
+    Math.max(current.end, neighbor.span.end)
+  );
+
+  recordHistory([
+    { groupId, before: groupBefore, after: snapshotGroup(group) },
+    { groupId: neighbor.group.groupId, before: snapshotGroup(neighbor.group), after: null }
+  ]);
+  saveHighlightGroup(group);
+  removeHighlightGroupFromStorage(neighbor.group);
+  showUndoToast(getMessage('highlightsMerged'));
+  updateMinimapMarkers();
+  debugLog('Merged highlight groups:', groupId, neighbor.group.groupId);
+  return true;
+}
+
+/**
+ * Cut a group in two at a text position. The second part becomes a new group with the
+ * same color and metadata, stored right after the first one.
+ * @param {string} groupId - Group to split
+ * @param {Node} node - Split point container (e.g. from getCaretFromPoint)
+ * @param {number} offset - Split point offset inside the container
+ * @returns {boolean} Whether the group was split
+ */
+function splitHighlightGroup(groupId, node, offset) {
+  const group = highlights.find(g => g.groupId === groupId);
+  const current = getGroupTextSpan(groupId);
+  if (!group || !current || getTextRoot(node) !== current.root) return false;
+
+  const splitAt = current.index.offsetOf(node, offset);
+  const text = current.index.text;
+  if (splitAt <= current.start || splitAt >= current.end ||
+    text.slice(current.start, splitAt).trim() === '' ||
+    text.slice(splitAt, current.end).trim() === '') {
+    debugLog('Split point is not inside the highlight text:', groupId, splitAt);
+    return false;
+  }
+
+  const secondGroup = JSON.parse(JSON.stringify(group));
+  secondGroup.groupId = createUniqueGroupId();
+  delete secondGroup.revision;
+  delete secondGroup.createdAt;
+  delete secondGroup.updatedAt;
+  const groupBefore = snapshotGroup(group);
+
+  repaintHighlightGroup(group, current.root, current.start, splitAt);
+  repaintHighlightGroup(secondGroup, current.root, splitAt, current.end);
+  highlights.splice(highlights.indexOf(group) + 1, 0, secondGroup);
+
+  recordHistory([
+    { groupId, before: groupBefore, after: snapshotGroup(group) },
+    { groupId: secondGroup.groupId, before: null, after: snapshotGroup(secondGroup) }
+  ]);
+  saveHighlightGroup(group);
+  addHighlightGroupToStorage(secondGroup);
+  updateMinimapMarkers();
+  debugLog('Split highlight group:', groupId, '->', secondGroup.groupId);
+  return true;
+}
+
+/**
+ * Move the start or end of a group to a new text position and store its new anchors.
+ * @param {string} groupId - Group to resize
+ * @param {string} edge - 'start' or 'end'
+ * @param {Node} node - New boundary container (e.g. from getCaretFromPoint)
+ * @param {number} offset - New boundary offset inside the container
+ * @returns {boolean} Whether the group changed
+ */
+function resizeHighlightGroup(groupId, edge, node, offset) {
+  const group = highlights.find(g => g.groupId === groupId);
+  const current = getGroupTextSpan(groupId);
+  if (!group || !current || getTextRoot(node) !== current.root) return false;
+
+  const { start, end } = current;
+  const boundary = current.index.offsetOf(node, offset);
+  const newStart = edge === 'start' ? boundary : start;
+  const newEnd = edge === 'end' ? boundary : end;
+  if (newEnd <= newStart || (newStart === start && newEnd === end)) return false;
+  if (current.index.text.slice(newStart, newEnd).trim() === '') return false;
+
+  const before = snapshotGroup(group);
+  repaintHighlightGroup(group, current.root, newStart, newEnd);
+
+  recordHistory([{ groupId, before, after: snapshotGroup(group) }]);
+  saveHighlightGroup(group);
+  updateMinimapMarkers();
+  debugLog('Resized highlight group:', groupId, edge, newStart, newEnd);
+  return true;
+}
+
+// Briefly emphasize a group painted with the Custom Highlight API
+function flashHighlightGroup(groupId) {
+  if (customHighlightRenderer) {
+    customHighlightRenderer.flash(groupId);
+  }
+}
+
+/**
+ * Groups of the highlights under a mouse event, for either renderer.
+ * Overlapping highlights are all reported, innermost (most specific) first.
+ * @returns {Array} Group ids
+ */
+function getHighlightGroupIdsAt(e) {
+  const groupIds = [];
+  e.composedPath().forEach(node => {
+    if (node.classList && node.classList.contains('text-highlighter-extension') &&
+      !groupIds.includes(node.dataset.groupId)) {
+      groupIds.push(node.dataset.groupId);
+    }
+  });
+  if (customHighlightRenderer) {
+    customHighlightRenderer.groupIdsAt(e.clientX, e.clientY).forEach(groupId => {
+      if (!groupIds.includes(groupId)) groupIds.push(groupId);
+    });
+  }
+  return groupIds;
+}
+
+// Open the highlight controls for a clicked group. Where highlights overlap, clicking
+// again steps through the stacked groups (innermost first) before closing the controls.
+function handleHighlightClick(groupId, e) {
+  const stackedGroupIds = getHighlightGroupIdsAt(e);
+  if (!stackedGroupIds.includes(groupId)) {
+    stackedGroupIds.unshift(groupId);
+  }
+  const controlsShown = highlightControlsContainer &&
+    highlightControlsContainer.style.display !== 'none';
+  const activeIndex = controlsShown ? stackedGroupIds.indexOf(activeHighlightGroupId) : -1;
+
+  hideHighlightControls();
+  const nextGroupId = stackedGroupIds[activeIndex + 1];
+  if (nextGroupId) {
+    showControlUi(nextGroupId, e);
+    e.stopPropagation();
+  }
+}
+
+// ============ SHADOW ROOTS ============
+
+// Open shadow roots that contain highlight spans created by this page
+const highlightRoots = new Set();
+let highlightStyleSheetPromise = null;
+
+/**
+ * querySelectorAll over the document and every shadow root that holds highlights.
+ * @param {string} selector - CSS selector
+ * @returns {Array} Matching elements
+ */
+function queryHighlightElements(selector) {
+  const elements = Array.from(document.querySelectorAll(selector));
+  highlightRoots.forEach(root => {
+    if (!root.host.isConnected) {
+      highlightRoots.delete(root);
+      return;
+    }
+    elements.push(...root.querySelectorAll(selector));
+  });
+  return elements;
+}
+
+// Remember a shadow root that holds highlights and give it the highlight styles,
+// since styles.css from the manifest only applies to the main document
+function registerHighlightRoot(root) {
+  if (!(root instanceof ShadowRoot) || highlightRoots.has(root)) return;
+  highlightRoots.add(root);
+
+  getHighlightStyleSheet().then(sheet => {
+    if (sheet && !root.adoptedStyleSheets.includes(sheet)) {
+      root.adoptedStyleSheets = [...root.adoptedStyleSheets, sheet];
+    }
+  });
+}
+
+// Constructable copy of styles.css, shared by every shadow root
+function getHighlightStyleSheet() {
+  if (!highlightStyleSheetPromise) {
+    highlightStyleSheetPromise = fetch(browserAPI.runtime.getURL('styles.css'))
+      .then(response => response.text())
+      .then(cssText => new CSSStyleSheet().replace(cssText))
+      .catch(error => {
+        debugLog('Could not load highlight styles for shadow roots:', error);
+        highlightStyleSheetPromise = null;
+        return null;
+      });
+  }
+  return highlightStyleSheetPromise;
+}
+
+// Root to index for a stored group: the shadow root it was created in, or the body
+function getGroupTextRoot(group) {
+  if (Array.isArray(group.shadowHostPath) && group.shadowHostPath.length > 0) {
+    return resolveShadowHostPath(group.shadowHostPath);
+  }
+  return document.body;
+}
+
+// Record (or clear) the shadow host path of the root a group's text lives in
+function setGroupShadowHostPath(group, root) {
+  if (root instanceof ShadowRoot) {
+    group.shadowHostPath = getShadowHostPath(root);
+  } else {
+    delete group.shadowHostPath;
+  }
+}
+
+// Replace a highlight span with its own contents
+function unwrapHighlightSpan(span) {
+  const parent = span.parentNode;
+  if (!parent) return;
+  while (span.firstChild) {
+    parent.insertBefore(span.firstChild, span);
+  }
+  parent.removeChild(span);
+}
+
+// Idle-time painting job started by applyHighlights, if it is still running
+let applyHighlightsJob = null;
+
+// Idle time kept free for the page at the end of each painting chunk
+const APPLY_IDLE_MARGIN_MS = 2;
+// Longest wait for an idle period before a chunk is painted anyway
+const APPLY_IDLE_TIMEOUT_MS = 500;
+
+/**
+ * Apply highlights to the page using saved highlight information.
+ * Every group is first resolved against a single text index per text root, then
+ * the resolved ranges are painted in idle-time chunks so large pages stay responsive.
+ */
+function applyHighlights() {
+  debugLog('Applying highlights, count:', highlights.length);
+  stopReanchorLoop();
+  cancelApplyHighlights();
+
+  const timings = { groups: highlights.length };
+  const startTime = performance.now();
+  const context = createAnchoringContext();
+
+  const changedGroups = new Set();
+  const unplacedGroups = new Map();
+  const placements = [];
+  highlights.forEach(group => {
+    try {
+      const previousState = getGroupAnchorState(group);
+      const placement = resolveHighlightGroup(group, context);
+      if (placement.orphanReason) {
+        unplacedGroups.set(group.groupId, placement.orphanReason);
+      } else {
+        placements.push(placement);
+      }
+      if (getGroupAnchorState(group) !== previousState) {
+        changedGroups.add(group);
+      }
+    } catch (error) {
+      debugLog('Error resolving highlight group:', error);
+    }
+  });
+  const resolvedTime = performance.now();
+  timings.index = context.indexTime;
+  timings.resolve = resolvedTime - startTime - context.indexTime;
+  recordApplyMeasure('resolve', startTime, resolvedTime);
+
+  const job = { cancelled: false };
+  applyHighlightsJob = job;
+  let next = 0;
+  timings.chunks = 0;
+
+  const paintChunk = (deadline) => {
+    if (job.cancelled) return;
+    timings.chunks++;
+    // The Custom Highlight API registrations are rebuilt once per chunk, not once per group
+    withRendererBatch(() => {
+      let painted = 0;
+      while (next < placements.length &&
+        (painted === 0 || deadline.timeRemaining() > APPLY_IDLE_MARGIN_MS)) {
+        const placement = placements[next++];
+        painted++;
+        // Skip groups deleted while they were waiting
+        if (!highlights.includes(placement.group)) continue;
+        try {
+          const previousState = getGroupAnchorState(placement.group);
+          const orphanReason = paintHighlightPlacement(placement);
+          if (orphanReason) {
+            unplacedGroups.set(placement.group.groupId, orphanReason);
+          }
+          if (getGroupAnchorState(placement.group) !== previousState) {
+            changedGroups.add(placement.group);
+          }
+        } catch (error) {
+          debugLog('Error applying highlight group:', error);
+        }
+      }
+    });
+
+    if (next < placements.length) {
+      requestIdleTask(paintChunk);
+      return;
+    }
+
+    applyHighlightsJob = null;
+    const endTime = performance.now();
+    timings.paint = endTime - resolvedTime;
+    timings.total = endTime - startTime;
+    recordApplyMeasure('paint', resolvedTime, endTime);
+    recordApplyMeasure('apply', startTime, endTime);
+    debugLog('Highlights applied:', timings);
+    reportApplyTimings(timings);
+
+    changedGroups.forEach(group => saveHighlightGroup(group));
+    updateMinimapMarkers();
+
+    // Text that is not on the page yet may still be rendered later
+    if (unplacedGroups.size > 0) {
+      startReanchorLoop(unplacedGroups);
+    }
+  };
+
+  if (placements.length > 0) {
+    requestIdleTask(paintChunk);
+  } else {
+    paintChunk({ timeRemaining: () => 0 });
+  }
+}
+
+// Stop painting the groups of a previous applyHighlights call
+function cancelApplyHighlights() {
+  if (applyHighlightsJob) {
+    applyHighlightsJob.cancelled = true;
+    applyHighlightsJob = null;
+  }
+}
+
+// requestIdleCallback with a timer fallback for browsers without it
+function requestIdleTask(callback) {
+  if (typeof window.requestIdleCallback === 'function') {
+    window.requestIdleCallback(callback, { timeout: APPLY_IDLE_TIMEOUT_MS });
+  } else {
+    setTimeout(() => callback({ timeRemaining: () => 0 }), 0);
+  }
+}
+
+// Run callback as one batch of Custom Highlight API changes (directly with wrapper spans)
+function withRendererBatch(callback) {
+  return customHighlightRenderer ? customHighlightRenderer.batch(callback) : callback();
+}
+
+// Debug builds only: let page scripts read the timings of a restore (used by
+// test/fixtures/large-page.html). Pages could otherwise detect the extension with it.
+// The detail is a JSON string because objects created by a content script are not
+// readable from the page.
+function reportApplyTimings(timings) {
+  if (!DEBUG_MODE) return;
+  document.dispatchEvent(new CustomEvent('text-highlighter:applied', { detail: JSON.stringify(timings) }));
+}
+
+// Debug builds only: add a text-highlighter:<name> entry to the page's performance timeline
+function recordApplyMeasure(name, startTime, endTime) {
+  if (!DEBUG_MODE) return;
+  try {
+    performance.measure(`text-highlighter:${name}`, { start: startTime, end: endTime });
+  } catch (error) {
+    // User Timing Level 3 options are not available everywhere; the debug log still has the numbers
+  }
+}
+
+/**
+ * Shared state for resolving many groups at once: one TextIndex per text root and
+ * cached display lookups for the legacy format.
+ */
+function createAnchoringContext() {
+  return { indexes: new Map(), hiddenElements: new Map(), indexTime: 0 };
+}
+
+// TextIndex of a text root, built on first use
+function getContextIndex(context, root) {
+  let index = context.indexes.get(root);
+  if (!index) {
+    const startTime = performance.now();
+    index = new TextIndex(root);
+    context.indexes.set(root, index);
+    context.indexTime += performance.now() - startTime;
+  }
+  return index;
+}
+
+// Place a single group on the page right away.
+// Returns null when it was placed, or the orphan reason when it could not be.
+function placeHighlightGroup(group, context = createAnchoringContext()) {
+  const placement = resolveHighlightGroup(group, context);
+  if (placement.orphanReason) {
+    return placement.orphanReason;
+  }
+  return paintHighlightPlacement(placement);
+}
+
+/**
+ * Find where a group belongs on the page without changing the DOM.
+ * @returns {Object} { group, index, start, end } or { orphanReason }
+ */
+function resolveHighlightGroup(group, context) {
+  if (findSelector(group.selectors, 'TextQuoteSelector')) {
+    const root = getGroupTextRoot(group);
+    if (!root) {
+      debugLog('Shadow host of highlight not found:', group.groupId, group.shadowHostPath);
+      return { orphanReason: ORPHAN_REASON_TEXT_NOT_FOUND };
+    }
+    const index = getContextIndex(context, root);
+    const match = anchorHighlightGroup(group, index);
+    if (!match) {
+      return { orphanReason: ORPHAN_REASON_TEXT_NOT_FOUND };
+    }
+    delete group.orphan;
+    return { group, index, start: match.start, end: match.end };
   }
-  else if (message.action === 'setSelectionControlsVisibility') {
-    setSelectionControlsVisibility(message.visible);
-    sendResponse({ success: true });
-    return true;
+
+  // Old-format group (span text + pixel position): find it the legacy way,
+  // then record selectors for the text it landed on
+  const index = getContextIndex(context, document.body);
+  const match = findLegacyHighlightGroup(group, index, context.hiddenElements);
+  if (match.orphanReason) {
+    return match;
   }
-});
+  group.selectors = describeTextRange(index, match.start, match.end);
+  delete group.orphan;
+  debugLog('Migrated highlight group to selectors:', group.groupId);
+  return { group, index, start: match.start, end: match.end };
+}
 
-// Function to asynchronously get color information from Background Service Worker
-function getColorsFromBackground() {
-  return new Promise((resolve, reject) => {
-    browserAPI.runtime.sendMessage({ action: 'getColors' }, (response) => {
-      if (browserAPI.runtime.lastError) {
-        console.error('Error getting colors:', browserAPI.runtime.lastError);
-        return reject(browserAPI.runtime.lastError);
-      }
-      if (response && response.colors) {
-        currentColors = response.colors;
-        debugLog('Received colors from background:', currentColors);
-        resolve();
-      } else {
-        reject('Invalid response from background for colors.');
+/**
+ * Paint a resolved group. When the page changed the indexed text since it was resolved,
+ * the group is anchored again against the current page.
+ * @returns {string|null} null when painted, otherwise the orphan reason
+ */
+function paintHighlightPlacement({ group, index, start, end }) {
+  if (!index.isIntact(start, end)) {
+    debugLog('Page text changed before painting, anchoring again:', group.groupId);
+    return placeHighlightGroup(group);
+  }
+  renderHighlightGroup(group, index, start, end);
+  return null;
+}
+
+// ============ RENDERING MODE ============
+
+// Read the rendering preference and switch to the Custom Highlight API if it is enabled
+function loadRenderingSetting() {
+  return new Promise((resolve) => {
+    getSettings(['nonDestructiveRendering'], (result) => {
+      if (result.nonDestructiveRendering) {
+        enableCustomHighlightRenderer();
       }
+      resolve();
     });
   });
 }
 
-function loadHighlights() {
-  debugLog('Loading highlights for URL:', currentUrl);
+// Switch between wrapper spans and the Custom Highlight API, repainting the current highlights
+function setNonDestructiveRendering(enabled) {
+  if (Boolean(customHighlightRenderer) === Boolean(enabled)) return;
+  hideHighlightControls();
+  clearAllHighlights();
+  if (enabled) {
+    enableCustomHighlightRenderer();
+  } else {
+    customHighlightRenderer.destroy();
+    customHighlightRenderer = null;
+  }
+  applyHighlights();
+}
 
-  browserAPI.runtime.sendMessage(
-    { action: 'getHighlights', url: currentUrl },
-    (response) => {
-      debugLog('Got highlights response:', response);
-      if (response && response.highlights) {
-        highlights = response.highlights;
-        applyHighlights();
-      } else {
-        debugLog('No highlights found or invalid response');
-      }
+function enableCustomHighlightRenderer() {
+  if (customHighlightRenderer) return;
+  if (!CustomHighlightRenderer.isSupported()) {
+    debugLog('CSS Custom Highlight API not supported, keeping span rendering');
+    return;
+  }
+  customHighlightRenderer = new CustomHighlightRenderer({
+    onClick: handleHighlightClick,
+    onDetached: handleDetachedHighlights
+  });
+  customHighlightRenderer.init();
+  debugLog('Rendering highlights with the CSS Custom Highlight API');
+}
 
-      initMinimap();
+// The page replaced text that painted ranges pointed into: anchor those groups again
+function handleDetachedHighlights(groupIds) {
+  debugLog('Highlight ranges detached by page update:', groupIds);
+  const changedGroups = new Set();
+  let addedPending = false;
+  const unplacedGroups = new Map(pendingGroups);
+  const context = createAnchoringContext();
+  groupIds.forEach(groupId => {
+    const group = highlights.find(g => g.groupId === groupId);
+    if (!group) return;
+    const previousState = getGroupAnchorState(group);
+    const orphanReason = placeHighlightGroup(group, context);
+    if (orphanReason && !unplacedGroups.has(groupId)) {
+      unplacedGroups.set(groupId, orphanReason);
+      addedPending = true;
     }
-  );
+    if (getGroupAnchorState(group) !== previousState) {
+      changedGroups.add(group);
+    }
+  });
+  changedGroups.forEach(group => saveHighlightGroup(group));
+  updateMinimapMarkers();
+  if (addedPending) {
+    startReanchorLoop(unplacedGroups);
+  }
 }
 
-function saveHighlights() {
-  browserAPI.runtime.sendMessage(
-    {
-      action: 'saveHighlights',
-      url: currentUrl,
-      highlights: highlights,
-      timestamp: new Date().toISOString()
-    },
-    (response) => {
-      debugLog('Highlights saved:', response?.success);
+// ============ RE-ANCHORING OF LATE CONTENT ============
+
+// Quiet period after the last page mutation before unplaced groups are retried
+const REANCHOR_DEBOUNCE_MS = 300;
+// How long to keep watching for late content before giving up on unplaced groups
+const REANCHOR_TIMEOUT_MS = 15000;
+
+let reanchorObserver = null;
+let reanchorDebounceTimer = null;
+let reanchorTimeoutTimer = null;
+// Shadow roots watched in addition to the body (mutations do not cross shadow boundaries)
+let reanchorObservedRoots = new Set();
+// groupId -> orphan reason of the last failed attempt
+let pendingGroups = new Map();
+
+// Watch the page for new text and retry the given unplaced groups as it arrives
+function startReanchorLoop(unplacedGroups) {
+  stopReanchorLoop();
+  pendingGroups = unplacedGroups;
+  debugLog('Waiting for late content to place groups:', Array.from(pendingGroups.keys()));
+
+  reanchorObserver = new MutationObserver(handleReanchorMutations);
+  observeReanchorRoot(document.body);
+  observePendingShadowRoots();
+  reanchorTimeoutTimer = setTimeout(finishReanchorLoop, REANCHOR_TIMEOUT_MS);
+}
+
+function observeReanchorRoot(root) {
+  if (reanchorObservedRoots.has(root)) return;
+  reanchorObservedRoots.add(root);
+  reanchorObserver.observe(root, {
+    childList: true,
+    subtree: true,
+    characterData: true
+  });
+}
+
+// Watch the shadow roots of pending groups whose hosts are already on the page
+function observePendingShadowRoots() {
+  pendingGroups.forEach((reason, groupId) => {
+    const group = highlights.find(g => g.groupId === groupId);
+    const root = group && getGroupTextRoot(group);
+    if (root instanceof ShadowRoot) {
+      observeReanchorRoot(root);
     }
-  );
+  });
 }
 
-function removeHighlight(highlightElement = null) {
-  if (!highlightElement) {
-    const selection = window.getSelection();
-    if (!selection.rangeCount) return;
-    const range = selection.getRangeAt(0);
-    let node = range.commonAncestorContainer;
-    while (node) {
-      if (node.nodeType === Node.ELEMENT_NODE && node.classList.contains('text-highlighter-extension')) {
-        highlightElement = node;
-        break;
+// Stop watching for late content
+function stopReanchorLoop() {
+  if (reanchorObserver) {
+    reanchorObserver.disconnect();
+    reanchorObserver = null;
+  }
+  reanchorObservedRoots = new Set();
+  clearTimeout(reanchorDebounceTimer);
+  clearTimeout(reanchorTimeoutTimer);
+  reanchorDebounceTimer = null;
+  reanchorTimeoutTimer = null;
+  pendingGroups = new Map();
+}
+
+function handleReanchorMutations(mutations) {
+  if (!mutations.some(isPageTextMutation)) return;
+  clearTimeout(reanchorDebounceTimer);
+  reanchorDebounceTimer = setTimeout(retryPendingGroups, REANCHOR_DEBOUNCE_MS);
+}
+
+// Whether a mutation added or changed page text (as opposed to our own UI or spans)
+function isPageTextMutation(mutation) {
+  const target = mutation.target.nodeType === Node.ELEMENT_NODE
+    ? mutation.target
+    : mutation.target.parentElement;
+  if (target && target.closest(`.text-highlighter-extension, ${EXTENSION_UI_SELECTOR}`)) {
+    return false;
+  }
+  if (mutation.type === 'characterData') {
+    return true;
+  }
+  return Array.from(mutation.addedNodes).some(node => {
+    if (node.nodeType === Node.TEXT_NODE) {
+      return node.nodeValue.trim() !== '';
+    }
+    return node.nodeType === Node.ELEMENT_NODE &&
+      !node.matches(`.text-highlighter-extension, ${EXTENSION_UI_SELECTOR}`) &&
+      node.textContent.trim() !== '';
+  });
+}
+
+// Try to place every pending group against the current page content
+function retryPendingGroups() {
+  reanchorDebounceTimer = null;
+  const changedGroups = new Set();
+  let placedAny = false;
+  const context = createAnchoringContext();
+
+  pendingGroups.forEach((reason, groupId) => {
+    const group = highlights.find(g => g.groupId === groupId);
+    if (!group) {
+      pendingGroups.delete(groupId);
+      return;
+    }
+    try {
+      const previousState = getGroupAnchorState(group);
+      const orphanReason = placeHighlightGroup(group, context);
+      if (orphanReason) {
+        pendingGroups.set(groupId, orphanReason);
+      } else {
+        debugLog('Placed group after late content arrived:', groupId);
+        pendingGroups.delete(groupId);
+        placedAny = true;
+      }
+      if (getGroupAnchorState(group) !== previousState) {
+        changedGroups.add(group);
       }
-      node = node.parentNode;
+    } catch (error) {
+      debugLog('Error re-anchoring highlight group:', error);
     }
+  });
+
+  // Discard the mutations caused by our own span wrapping
+  if (reanchorObserver) {
+    reanchorObserver.takeRecords();
+    observePendingShadowRoots();
   }
-  if (highlightElement) {
-    const groupId = highlightElement.dataset.groupId;
-    // 그룹 내 모든 span 삭제
-    const groupSpans = document.querySelectorAll(`.text-highlighter-extension[data-group-id='${groupId}']`);
-    groupSpans.forEach(span => {
-      const parent = span.parentNode;
-      while (span.firstChild) {
-        parent.insertBefore(span.firstChild, span);
-      }
-      parent.removeChild(span);
-    });
-    // highlights 배열에서 그룹 삭제
-    highlights = highlights.filter(g => g.groupId !== groupId);
-    saveHighlights();
+  changedGroups.forEach(group => saveHighlightGroup(group));
+  if (placedAny) {
     updateMinimapMarkers();
-    if (activeHighlightElement && activeHighlightElement.dataset.groupId === groupId) {
-      activeHighlightElement = null;
-      hideHighlightControls();
-    }
+  }
+  if (pendingGroups.size === 0) {
+    stopReanchorLoop();
   }
 }
 
-function changeHighlightColor(highlightElement, newColor) {
-  if (!highlightElement) return;
-  const groupId = highlightElement.dataset.groupId;
-  // DOM의 모든 span 색상 변경
-  const groupSpans = document.querySelectorAll(`.text-highlighter-extension[data-group-id='${groupId}']`);
-  groupSpans.forEach(span => {
-    span.style.backgroundColor = newColor;
+// Give up on groups that never appeared and record them as orphaned
+function finishReanchorLoop() {
+  const changedGroups = new Set();
+  pendingGroups.forEach((reason, groupId) => {
+    const group = highlights.find(g => g.groupId === groupId);
+    if (!group) return;
+    const previousState = getGroupAnchorState(group);
+    markGroupOrphaned(group, reason);
+    if (getGroupAnchorState(group) !== previousState) {
+      changedGroups.add(group);
+    }
   });
-  // highlights 배열에서 색상 변경
+  stopReanchorLoop();
+  changedGroups.forEach(group => saveHighlightGroup(group));
+}
+
+// Summary of the stored anchoring state of a group, used to detect changes worth saving
+function getGroupAnchorState(group) {
+  return JSON.stringify([
+    Boolean(group.selectors),
+    group.anchorStatus || null,
+    group.anchorConfidence || null,
+    group.orphan ? group.orphan.reason : null
+  ]);
+}
+
+// Record that a group could not be placed on the page
+function markGroupOrphaned(group, reason) {
+  debugLog('Highlight group orphaned:', group.groupId, reason);
+  if (!group.orphan || group.orphan.reason !== reason) {
+    group.orphan = {
+      reason,
+      detectedAt: new Date().toISOString()
+    };
+  }
+}
+
+// Re-attach an orphaned group to the text currently selected on the page
+function reattachHighlightGroup(groupId) {
   const group = highlights.find(g => g.groupId === groupId);
-  if (group) {
-    group.color = newColor;
-    saveHighlights();
-    updateMinimapMarkers();
+  if (!group) {
+    return { success: false, error: 'notFound' };
+  }
+
+  const selection = window.getSelection();
+  const selectedText = selection.toString();
+  const range = getSelectedRange();
+  if (!range || selectedText.trim() === '') {
+    return { success: false, error: 'noSelection' };
   }
+
+  const root = getTextRoot(range.startContainer);
+  const index = new TextIndex(root);
+  const start = index.offsetOf(range.startContainer, range.startOffset);
+  const end = index.offsetOf(range.endContainer, range.endOffset);
+  group.selectors = describeTextRange(index, start, end);
+  setGroupShadowHostPath(group, root);
+
+  const highlightSpans = renderHighlightGroup(group, index, start, end);
+
+  group.text = selectedText;
+  group.spans = highlightSpans.map((span, spanIndex) => getSpanInfo(span, `${groupId}_${spanIndex}`));
+  pendingGroups.delete(groupId);
+  delete group.orphan;
+  delete group.anchorStatus;
+  delete group.anchorConfidence;
+
+  selection.removeAllRanges();
+  saveHighlightGroup(group);
+  updateMinimapMarkers();
+  debugLog('Re-attached orphaned highlight group:', groupId);
+  return { success: true };
 }
 
-// Remove all highlights from the page
-function clearAllHighlights() {
-  debugLog('Clearing all highlights');
-  const highlightElements = document.querySelectorAll('.text-highlighter-extension');
-  highlightElements.forEach(element => {
-    const parent = element.parentNode;
-    while (element.firstChild) {
-      parent.insertBefore(element.firstChild, element);
+// Stored information for a single highlight span (or painted Range)
+function getSpanInfo(span, spanId = span.dataset.spanId) {
+  const rect = span.getBoundingClientRect();
+  const scrollTop = window.scrollY || document.documentElement.scrollTop;
+  return {
+    spanId,
+    text: span instanceof Range ? span.toString() : span.textContent,
+    position: rect.top + scrollTop
+  };
+}
+
+/**
+ * Paint [start, end) of the index text for a group with the active renderer.
+ * @returns {Array} The wrapper spans, or the painted Range with the Custom Highlight API
+ */
+function renderHighlightGroup(group, index, start, end) {
+  if (customHighlightRenderer) {
+    const range = index.toRange(start, end);
+    if (!range) return [];
+    customHighlightRenderer.add(group.groupId, group.color, [range]);
+    return [range];
+  }
+
+  const highlightSpans = index.wrap(start, end, (spanIndex) =>
+    createHighlightSpan(group.color, group.groupId, `${group.groupId}_${spanIndex}`)
+  );
+  highlightSpans.forEach(span => addHighlightEventListeners(span));
+  registerHighlightRoot(index.root);
+  return highlightSpans;
+}
+
+// Create a highlight span element for a group
+function createHighlightSpan(color, groupId, spanId) {
+  const span = document.createElement('span');
+  span.className = 'text-highlighter-extension';
+  span.style.backgroundColor = color;
+  if (groupId) span.dataset.groupId = groupId;
+  if (spanId) span.dataset.spanId = spanId;
+  return span;
+}
+
+// Find a group in an index from its stored selectors.
+// When the exact quote is gone, a fuzzy match near the stored position is used and
+// the group is marked as approximate with the match confidence.
+function anchorHighlightGroup(group, index) {
+  let match = anchorSelectors(index, group.selectors);
+  if (match) {
+    delete group.anchorStatus;
+    delete group.anchorConfidence;
+  } else {
+    match = fuzzyAnchorSelectors(index, group.selectors);
+    if (!match) {
+      debugLog('Highlight quote not found:', group.groupId);
+      return null;
     }
-    parent.removeChild(element);
-  });
+    group.anchorStatus = 'approximate';
+    group.anchorConfidence = Math.round(match.confidence * 100) / 100;
+    debugLog('Highlight re-attached approximately:', group.groupId, group.anchorConfidence);
+  }
+  return match;
 }
 
-// Apply highlights to the page using saved highlight information
-function applyHighlights() {
-  debugLog('Applying highlights, count:', highlights.length);
-  highlights.forEach(group => {
-    try {
-      debugLog('Applying highlight group:', group);
-      highlightTextInDocument(
-        document.body,
-        group.spans,
-        group.color,
-        group.groupId
-      );
-    } catch (error) {
-      debugLog('Error applying highlight group:', error);
+// Whether a node is inside an element hidden with display: none, cached per element
+function isInHiddenElement(node, hiddenElements) {
+  const visited = [];
+  let hidden = false;
+  let el = node.parentElement;
+  while (el && el !== document.body && el !== document.documentElement) {
+    if (hiddenElements.has(el)) {
+      hidden = hiddenElements.get(el);
+      break;
     }
-  });
-  updateMinimapMarkers();
+    visited.push(el);
+    if (window.getComputedStyle(el).display === 'none') {
+      hidden = true;
+      break;
+    }
+    el = el.parentElement;
+  }
+  visited.forEach(element => hiddenElements.set(element, hidden));
+  return hidden;
 }
 
-// Find text in document and apply highlight for a group of spans
-function highlightTextInDocument(element, spanInfos, color, groupId) {
-  if (!spanInfos || spanInfos.length === 0) return false;
+/**
+ * Find a group stored in the legacy format (span text + pixel position) in an index.
+ * The first span is matched at the occurrence closest to its stored position and the
+ * following spans must appear after it in order.
+ * @returns {Object} { start, end } offsets into the index text, or { orphanReason }
+ */
+function findLegacyHighlightGroup(group, index, hiddenElements) {
+  const spanInfos = group.spans;
+  if (!spanInfos || spanInfos.length === 0) {
+    return { orphanReason: ORPHAN_REASON_TEXT_NOT_FOUND };
+  }
 
   // 1. 텍스트 노드 수집
-  const walker = document.createTreeWalker(
-    element,
-    NodeFilter.SHOW_TEXT,
-    {
-      acceptNode: function (node) {
-        if (!node.nodeValue || node.nodeValue.trim() === '') {
-          return NodeFilter.FILTER_REJECT;
-        }
-        const parent = node.parentNode;
-        if (!parent) return NodeFilter.FILTER_REJECT;
-        if (parent.classList && parent.classList.contains('text-highlighter-extension')) {
-          return NodeFilter.FILTER_REJECT;
-        }
-        const parentTagName = parent.tagName && parent.tagName.toUpperCase();
-        if ([
-          'SCRIPT', 'STYLE', 'NOSCRIPT', 'TEXTAREA', 'INPUT'
-        ].includes(parentTagName)) {
-          return NodeFilter.FILTER_REJECT;
-        }
-        let el = parent;
-        while (el && el !== document.body && el !== document.documentElement) {
-          if (window.getComputedStyle(el).display === 'none') {
-            return NodeFilter.FILTER_REJECT;
-          }
-          el = el.parentNode;
-        }
-        return NodeFilter.FILTER_ACCEPT;
-      }
-    },
-    false
+  const textEntries = index.entries.filter(entry =>
+    entry.node.nodeValue.trim() !== '' && !isInHiddenElement(entry.node, hiddenElements)
   );
-  const textNodes = [];
-  let currentNode;
-  while (currentNode = walker.nextNode()) {
-    textNodes.push(currentNode);
-  }
-  if (textNodes.length === 0) {
-    debugLog('No suitable text nodes found for group:', groupId);
-    return false;
+  if (textEntries.length === 0) {
+    debugLog('No suitable text nodes found for group:', group.groupId);
+    return { orphanReason: ORPHAN_REASON_TEXT_NOT_FOUND };
   }
 
   // 2. 첫 span: position 기준으로 후보 중 가장 가까운 것 선택
   const firstSpan = spanInfos[0];
   const firstText = firstSpan.text;
   const firstPosition = firstSpan.position;
+  const scrollTop = window.scrollY || document.documentElement.scrollTop;
   const candidates = [];
-  for (let i = 0; i < textNodes.length; i++) {
-    const node = textNodes[i];
-    const nodeText = node.textContent;
-    const searchText = firstText;
-    const idx = nodeText.indexOf(searchText);
-    if (idx !== -1) {
-      let range = document.createRange();
-      range.setStart(node, idx);
-      range.setEnd(node, idx + searchText.length);
-      const rect = range.getBoundingClientRect();
-      const top = rect.top + (window.scrollY || document.documentElement.scrollTop);
-      candidates.push({ node, idx, top });
-    }
-  }
+  textEntries.forEach((entry, entryIdx) => {
+    const idx = entry.node.nodeValue.indexOf(firstText);
+    if (idx === -1) return;
+    const range = document.createRange();
+    range.setStart(entry.node, idx);
+    range.setEnd(entry.node, idx + firstText.length);
+    candidates.push({ entryIdx, idx, top: range.getBoundingClientRect().top + scrollTop });
+  });
   if (candidates.length === 0) {
     debugLog('First span text not found:', firstText);
-    return false;
+    return { orphanReason: ORPHAN_REASON_TEXT_NOT_FOUND };
   }
   // position과 가장 가까운 후보 선택
   let bestCandidate = candidates[0];
@@ -277,77 +1759,47 @@ function highlightTextInDocument(element, spanInfos, color, groupId) {
       }
     }
   }
-  // 3. 첫 span 하이라이트 적용
-  let currentNodeIdx = textNodes.indexOf(bestCandidate.node);
+
+  // 3. 이후 span은 순차적으로 텍스트 노드에서만 매칭
+  let currentEntryIdx = bestCandidate.entryIdx;
   let currentCharIdx = bestCandidate.idx;
-  let highlightSpans = [];
+  let start = -1;
+  let end = -1;
   for (let s = 0; s < spanInfos.length; s++) {
-    const spanInfo = spanInfos[s];
-    const spanText = spanInfo.text;
+    const spanText = spanInfos[s].text;
     let found = false;
-    // 이후 span은 순차적으로 텍스트 노드에서만 매칭
-    for (; currentNodeIdx < textNodes.length; currentNodeIdx++) {
-      const node = textNodes[currentNodeIdx];
-      const nodeText = node.textContent;
-      let searchStart = (s === 0) ? currentCharIdx : 0;
-      const idx = nodeText.indexOf(spanText, searchStart);
+    for (; currentEntryIdx < textEntries.length; currentEntryIdx++) {
+      const entry = textEntries[currentEntryIdx];
+      const idx = entry.node.nodeValue.indexOf(spanText, currentCharIdx);
       if (idx !== -1) {
-        let range = document.createRange();
-        range.setStart(node, idx);
-        range.setEnd(node, idx + spanText.length);
-        // 하이라이트 적용
-        const span = document.createElement('span');
-        span.className = 'text-highlighter-extension';
-        span.style.backgroundColor = color;
-        if (groupId) span.dataset.groupId = groupId;
-        if (spanInfo.spanId) span.dataset.spanId = spanInfo.spanId;
-        try {
-          const contents = range.extractContents();
-          span.appendChild(contents);
-          range.insertNode(span);
-          addHighlightEventListeners(span);
-          highlightSpans.push(span);
-        } catch (e) {
-          debugLog('Error creating highlight (single node):', e, 'Search:', spanText, 'Range text:', range.toString());
-        }
-        // 다음 span은 이 노드 이후부터 검색
+        if (s === 0) start = entry.start + idx;
+        end = entry.start + idx + spanText.length;
+        // 다음 span은 이 위치 이후부터 검색
         currentCharIdx = idx + spanText.length;
         found = true;
         break;
-      } else {
-        currentCharIdx = 0;
       }
+      currentCharIdx = 0;
     }
     if (!found) {
       debugLog('Span text not found in sequence:', spanText);
-      return false;
+      return { orphanReason: ORPHAN_REASON_SEQUENCE_BROKEN };
     }
   }
-  return highlightSpans;
+  return { start, end };
 }
 
 // Add event listeners to highlighted text elements
 function addHighlightEventListeners(highlightElement) {
   highlightElement.addEventListener('click', function (e) {
-    if (activeHighlightElement === highlightElement &&
-      highlightControlsContainer &&
-      highlightControlsContainer.style.display !== 'none') {
-      hideHighlightControls();
-    } else {
-      hideHighlightControls();
-
-      activeHighlightElement = highlightElement;
-      showControlUi(highlightElement, e);
-
-      e.stopPropagation();
-    }
+    handleHighlightClick(highlightElement.dataset.groupId, e);
   });
 
   // 그룹 전체에 hover 효과
   highlightElement.addEventListener('mouseenter', function () {
     const groupId = highlightElement.dataset.groupId;
     if (!groupId) return;
-    const groupSpans = document.querySelectorAll(`.text-highlighter-extension[data-group-id='${groupId}']`);
+    const groupSpans = queryHighlightElements(`.text-highlighter-extension[data-group-id='${groupId}']`);
     groupSpans.forEach(span => {
       span.classList.add('group-hover');
     });
@@ -355,7 +1807,7 @@ function addHighlightEventListeners(highlightElement) {
   highlightElement.addEventListener('mouseleave', function () {
     const groupId = highlightElement.dataset.groupId;
     if (!groupId) return;
-    const groupSpans = document.querySelectorAll(`.text-highlighter-extension[data-group-id='${groupId}']`);
+    const groupSpans = queryHighlightElements(`.text-highlighter-extension[data-group-id='${groupId}']`);
     groupSpans.forEach(span => {
       span.classList.remove('group-hover');
     });
@@ -413,7 +1865,10 @@ function getFirstTextNodePosition(element) {
 }
 
 function initMinimap() {
-  browserAPI.storage.local.get(['minimapVisible'], (result) => {
+  getSettings(['minimapVisible'], (result) => {
+    // Another navigation may have created the minimap while we were waiting
+    if (minimapManager) return;
+
     const minimapVisible = result.minimapVisible !== undefined ? result.minimapVisible : true;
 
     minimapManager = new MinimapManager();
@@ -427,64 +1882,167 @@ function initMinimap() {
 }
 
 function updateMinimapMarkers() {
-  if (minimapManager) {
+  if (!IS_TOP_FRAME) {
+    reportFrameMarkers();
+  } else if (minimapManager) {
     minimapManager.updateMarkers();
   }
 }
 
-// Convert selection range when all containers are the same node
-function convertSelectionRange(range) {
-  const commonAncestor = range.commonAncestorContainer;
-  const startContainer = range.startContainer;
-  const endContainer = range.endContainer;
-  
-  // Check if common ancestor and start container are the same node
-  if (commonAncestor === startContainer) {
-    // Find the child node at start offset
-    if (commonAncestor.childNodes && range.startOffset < commonAncestor.childNodes.length) {
-      const childNode = commonAncestor.childNodes[range.startOffset];
-      
-      // Check if child node is a text node
-      if (childNode && childNode.nodeType === Node.TEXT_NODE) {
-        const convertedRange = document.createRange();
-        convertedRange.setStart(childNode, 0);
-        convertedRange.setEnd(range.endContainer, range.endOffset);
-        
-        debugLog('Converted Range:', {
-          commonAncestorContainer: convertedRange.commonAncestorContainer,
-          startContainer: convertedRange.startContainer,
-          endContainer: convertedRange.endContainer,
-          startOffset: convertedRange.startOffset,
-          endOffset: convertedRange.endOffset
-        });
-        
-        return convertedRange;
+// ============ FRAME MARKERS ============
+
+// window.postMessage types used between the content scripts of nested frames
+const FRAME_MARKERS_MESSAGE = 'text-highlighter-frame-markers';
+const FRAME_SCROLL_MESSAGE = 'text-highlighter-frame-scroll';
+
+// Markers reported by child frames: frame window -> { iframe, origin, markers }
+const childFrameMarkers = new Map();
+let frameMarkersReportTimer = null;
+
+window.addEventListener('message', handleFrameMessage);
+
+if (!IS_TOP_FRAME) {
+  // Marker positions are relative to this frame's viewport, so they move with its scrolling
+  window.addEventListener('scroll', scheduleFrameMarkersReport, { passive: true });
+  window.addEventListener('resize', scheduleFrameMarkersReport);
+}
+
+function handleFrameMessage(event) {
+  const data = event.data;
+  if (!data || typeof data !== 'object') return;
+
+  if (data.type === FRAME_MARKERS_MESSAGE && Array.isArray(data.markers)) {
+    const iframe = findFrameElement(event.source);
+    if (!iframe) return;
+    if (data.markers.length > 0) {
+      childFrameMarkers.set(event.source, { iframe, origin: event.origin, markers: data.markers });
+    } else {
+      childFrameMarkers.delete(event.source);
+    }
+    updateMinimapMarkers();
+  } else if (data.type === FRAME_SCROLL_MESSAGE && event.source === window.parent &&
+    event.origin === getParentOrigin() && typeof data.groupId === 'string') {
+    scrollToGroup(data.groupId);
+  }
+}
+
+// Origin of the parent frame, which messages to it are addressed to, or null when it
+// cannot be known (or is opaque) and nothing should be sent
+function getParentOrigin() {
+  let origin = null;
+  if (window.location.ancestorOrigins && window.location.ancestorOrigins.length > 0) {
+    origin = window.location.ancestorOrigins[0];
+  } else {
+    try {
+      origin = window.parent.location.origin;
+    } catch (error) {
+      // Cross-origin parent: the page that loaded this frame is the best guess
+      try {
+        origin = new URL(document.referrer).origin;
+      } catch (referrerError) {
+        origin = null;
       }
     }
   }
-  
-  return range;
+  return origin && origin !== 'null' ? origin : null;
+}
+
+// Find the <iframe>/<frame> element whose content window is `frameWindow`
+function findFrameElement(frameWindow) {
+  if (!frameWindow) return null;
+  const frames = document.querySelectorAll('iframe, frame');
+  return Array.from(frames).find(frame => frame.contentWindow === frameWindow) || null;
+}
+
+/**
+ * Markers of the highlights in child frames, in this frame's viewport coordinates.
+ * @returns {Array} { groupId, color, top, bottom, frameWindow } per group
+ */
+function getChildFrameMarkers() {
+  const markers = [];
+  childFrameMarkers.forEach((entry, frameWindow) => {
+    if (!entry.iframe.isConnected) {
+      childFrameMarkers.delete(frameWindow);
+      return;
+    }
+    const offsetTop = entry.iframe.getBoundingClientRect().top + entry.iframe.clientTop;
+    entry.markers.forEach(marker => {
+      markers.push({
+        groupId: marker.groupId,
+        color: marker.color,
+        top: marker.top + offsetTop,
+        bottom: marker.bottom + offsetTop,
+        frameWindow
+      });
+    });
+  });
+  return markers;
+}
+
+function scheduleFrameMarkersReport() {
+  if (frameMarkersReportTimer) return;
+  frameMarkersReportTimer = setTimeout(() => {
+    frameMarkersReportTimer = null;
+    reportFrameMarkers();
+  }, 100);
+}
+
+// Send one marker per group (including those of nested frames) to the parent frame
+function reportFrameMarkers() {
+  const markers = [];
+  getHighlightGroupAnchors().forEach(({ groupId, color, target }) => {
+    const rect = target.getBoundingClientRect();
+    markers.push({
+      groupId,
+      color,
+      top: rect.top,
+      bottom: rect.bottom
+    });
+  });
+  getChildFrameMarkers().forEach(({ groupId, color, top, bottom }) => {
+    markers.push({ groupId, color, top, bottom });
+  });
+  const parentOrigin = getParentOrigin();
+  if (!parentOrigin) return;
+  window.parent.postMessage({ type: FRAME_MARKERS_MESSAGE, markers }, parentOrigin);
+}
+
+// Ask the child frame that holds a group to scroll it into view, at the origin it reported from
+function requestFrameScroll(frameWindow, groupId) {
+  const entry = childFrameMarkers.get(frameWindow);
+  if (!entry || entry.origin === 'null') return;
+  frameWindow.postMessage({ type: FRAME_SCROLL_MESSAGE, groupId }, entry.origin);
+}
+
+// Scroll a group of this frame into view, or pass the request on to the child frame holding it
+function scrollToGroup(groupId) {
+  const anchor = getHighlightGroupAnchors().find(a => a.groupId === groupId);
+  if (anchor) {
+    const rect = anchor.target.getBoundingClientRect();
+    window.scrollBy({
+      top: rect.top - window.innerHeight / 2,
+      behavior: 'smooth'
+    });
+    return;
+  }
+  const marker = getChildFrameMarkers().find(m => m.groupId === groupId);
+  if (marker) {
+    requestFrameScroll(marker.frameWindow, groupId);
+  }
 }
 
-// Refactored highlightSelectedText function with tree traversal algorithm
+// Create a highlight group from the current selection.
+// Text that is already highlighted is highlighted again: the new spans nest inside the
+// existing ones (or the painted ranges overlap), so every group stays independent.
 function highlightSelectedText(color) {
   const selection = window.getSelection();
   const selectedText = selection.toString();
   if (selectedText.trim() === '') return;
 
-  // Check if the selection overlaps with an existing highlight to prevent nesting.
-  const rangeToCheck = selection.getRangeAt(0);
-  const existingHighlights = document.querySelectorAll('.text-highlighter-extension');
-  for (const hl of existingHighlights) {
-    // intersectsNode returns true if any part of the node is inside the range.
-    if (rangeToCheck.intersectsNode(hl)) {
-      debugLog('Selection overlaps with an existing highlight. Aborting highlight creation.');
-      selection.removeAllRanges();
-      return;
-    }
-  }
+  // Range inside the shadow tree when the selection is in a web component
+  const range = getSelectedRange();
+  if (!range) return;
 
-  const range = selection.getRangeAt(0);
   debugLog('Highlight Range:', {
     commonAncestorContainer: range.commonAncestorContainer,
     startContainer: range.startContainer,
@@ -493,35 +2051,29 @@ function highlightSelectedText(color) {
     endOffset: range.endOffset
   });
 
-  // Convert range if common ancestor and start container are the same node
-  const convertedRange = convertSelectionRange(range);
-
   try {
-    const groupId = Date.now().toString();
-    const highlightSpans = processSelectionRange(convertedRange, color, groupId);
+    const textRoot = getTextRoot(range.startContainer);
+    const textIndex = new TextIndex(textRoot);
+    const start = textIndex.offsetOf(range.startContainer, range.startOffset);
+    const end = textIndex.offsetOf(range.endContainer, range.endOffset);
+
+    // 그룹 정보 생성
+    const groupId = createUniqueGroupId();
+    const group = {
+      groupId,
+      color,
+      text: selectedText,
+      spans: [],
+      selectors: describeTextRange(textIndex, start, end)
+    };
+    setGroupShadowHostPath(group, textRoot);
+
+    const highlightSpans = renderHighlightGroup(group, textIndex, start, end);
     if (highlightSpans.length > 0) {
-      // 그룹 정보 생성
-      const group = {
-        groupId,
-        color,
-        text: selectedText,
-        spans: []
-      };
-      highlightSpans.forEach((span, index) => {
-        const rect = span.getBoundingClientRect();
-        const scrollTop = window.scrollY || document.documentElement.scrollTop;
-        const spanId = `${groupId}_${index}`;
-        span.dataset.groupId = groupId;
-        span.dataset.spanId = spanId;
-        group.spans.push({
-          spanId,
-          text: span.textContent,
-          position: rect.top + scrollTop
-        });
-        addHighlightEventListeners(span);
-      });
+      group.spans = highlightSpans.map((span, index) => getSpanInfo(span, `${groupId}_${index}`));
       highlights.push(group);
-      saveHighlights();
+      recordHistory([{ groupId, before: null, after: snapshotGroup(group) }]);
+      addHighlightGroupToStorage(group);
       updateMinimapMarkers();
     }
   } catch (error) {
@@ -530,234 +2082,4 @@ function highlightSelectedText(color) {
   selection.removeAllRanges();
 }
 
-/**
- * Process selection range using tree traversal algorithm
- * @param {Range} range - The selection range
- * @param {string} color - Highlight color
- * @param {string} groupId - Base group ID
- * @returns {Array} Array of created highlight spans
- */
-function processSelectionRange(range, color, groupId) {
-  const commonAncestor = range.commonAncestorContainer;
-  const startContainer = range.startContainer;
-  const endContainer = range.endContainer;
-  const startOffset = range.startOffset;
-  const endOffset = range.endOffset;
-  
-  const highlightSpans = [];
-  let currentSpan = null;
-  let processingStarted = false;
-  let spanCounter = 0;
-  
-  // Helper function to create a new span
-  function createNewSpan() {
-    const span = document.createElement('span');
-    span.className = 'text-highlighter-extension';
-    span.style.backgroundColor = color;
-    span.dataset.groupId = groupId;
-    span.dataset.spanId = `${groupId}_${spanCounter++}`;
-    return span;
-  }
-  
-  // Helper function to finalize current span
-  function finalizeCurrentSpan() {
-    if (currentSpan && currentSpan.textContent.trim() !== '') {
-      highlightSpans.push(currentSpan);
-    }
-    currentSpan = null;
-  }
-  
-  // Helper function to check if node is a block element
-  function isBlockElement(node) {
-    if (node.nodeType !== Node.ELEMENT_NODE) return false;
-    
-    const blockTags = ['DIV', 'P', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 
-                      'SECTION', 'ARTICLE', 'HEADER', 'FOOTER', 'NAV', 
-                      'ASIDE', 'MAIN', 'BLOCKQUOTE', 'PRE', 'UL', 'OL', 
-                      'LI', 'TABLE', 'TR', 'TD', 'TH', 'TBODY', 'THEAD', 
-                      'TFOOT', 'FORM', 'FIELDSET', 'ADDRESS'];
-    
-    return blockTags.includes(node.tagName);
-  }
-  
-  // Helper function to check if we should skip this node
-  function shouldSkipNode(node) {
-    if (node.nodeType === Node.ELEMENT_NODE) {
-      const skipTags = ['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEXTAREA', 'INPUT'];
-      if (skipTags.includes(node.tagName)) return true;
-      
-      // Skip if already highlighted
-      if (node.classList && node.classList.contains('text-highlighter-extension')) {
-        return true;
-      }
-    }
-    return false;
-  }
-  
-  // Tree traversal function
-  function traverseNode(node) {
-    // Check if we've reached the end
-    if (processingStarted && node === endContainer) {
-      if (node.nodeType === Node.TEXT_NODE) {
-        // Handle end text node
-        if (!currentSpan) {
-          currentSpan = createNewSpan();
-        }
-        
-        const textContent = node.textContent;
-        const selectedText = textContent.substring(0, endOffset);
-        
-        if (selectedText.trim() !== '') {
-          const newTextNode = document.createTextNode(selectedText);
-          currentSpan.appendChild(newTextNode);
-          
-          // Split the text node properly
-          const remainingText = textContent.substring(endOffset);
-          const parent = node.parentNode;
-          
-          if (remainingText) {
-            const remainingTextNode = document.createTextNode(remainingText);
-            parent.insertBefore(currentSpan, node);
-            parent.insertBefore(remainingTextNode, node);
-            parent.removeChild(node); // Remove the original node
-          } else {
-            parent.replaceChild(currentSpan, node);
-          }
-          
-          finalizeCurrentSpan();
-        } else {
-          // If no valid text to highlight, just finalize current span
-          finalizeCurrentSpan();
-        }
-      }
-      return true; // Signal to stop processing
-    }
-    
-    // Check if we've reached the start
-    if (!processingStarted && node === startContainer) {
-      processingStarted = true;
-      
-      if (node.nodeType === Node.TEXT_NODE) {
-        // Handle start text node
-        const textContent = node.textContent;
-        
-        if (startContainer === endContainer) {
-          // Same text node case
-          const selectedText = textContent.substring(startOffset, endOffset);
-          
-          if (selectedText.trim() !== '') {
-            currentSpan = createNewSpan();
-            const newTextNode = document.createTextNode(selectedText);
-            currentSpan.appendChild(newTextNode);
-            
-            // Split the text node
-            const beforeText = textContent.substring(0, startOffset);
-            const afterText = textContent.substring(endOffset);
-            
-            const parent = node.parentNode;
-            if (beforeText) {
-              const beforeTextNode = document.createTextNode(beforeText);
-              parent.insertBefore(beforeTextNode, node);
-            }
-            
-            parent.insertBefore(currentSpan, node);
-            
-            if (afterText) {
-              const afterTextNode = document.createTextNode(afterText);
-              parent.insertBefore(afterTextNode, node);
-            }
-            
-            parent.removeChild(node);
-            finalizeCurrentSpan();
-          }
-          return true; // Signal to stop processing
-        } else {
-          // Multi-node selection start
-          const selectedText = textContent.substring(startOffset);
-          
-          if (selectedText.trim() !== '') {
-            currentSpan = createNewSpan();
-            const newTextNode = document.createTextNode(selectedText);
-            currentSpan.appendChild(newTextNode);
-            
-            // Split the text node
-            const beforeText = textContent.substring(0, startOffset);
-            const parent = node.parentNode;
-            
-            if (beforeText) {
-              const beforeTextNode = document.createTextNode(beforeText);
-              parent.insertBefore(beforeTextNode, node);
-            }
-            
-            parent.replaceChild(currentSpan, node);
-            finalizeCurrentSpan();
-            currentSpan = createNewSpan();
-          }
-        }
-      }
-      return false; // Continue processing
-    }
-    
-    // Process nodes between start and end
-    if (processingStarted) {
-      if (shouldSkipNode(node)) {
-        return false; // Skip but continue
-      }
-
-      if (range.comparePoint(node, 0) === 1) {
-        debugLog('Stop traversing over range', node);
-        return true;
-      }
-      
-      if (node.nodeType === Node.TEXT_NODE) {
-        const textContent = node.textContent;
-        if (textContent.trim() !== '') {
-          if (!currentSpan) {
-            currentSpan = createNewSpan();
-          }
-          
-          const newTextNode = document.createTextNode(textContent);
-          currentSpan.appendChild(newTextNode);
-          
-          // Replace the original text node
-          node.parentNode.replaceChild(currentSpan, node);
-          finalizeCurrentSpan();
-          currentSpan = createNewSpan();
-        }
-      } else if (node.nodeType === Node.ELEMENT_NODE && isBlockElement(node)) {
-        // Block element encountered - finalize current span
-        finalizeCurrentSpan();
-        currentSpan = null;
-      }
-    }
-    
-    return false; // Continue processing
-  }
-  
-  // Perform depth-first traversal
-  function depthFirstTraversal(node) {
-    if (traverseNode(node)) {
-      return true; // Stop signal received
-    }
-    
-    // Process child nodes
-    const children = Array.from(node.childNodes);
-    for (const child of children) {
-      if (depthFirstTraversal(child)) {
-        return true; // Stop signal received
-      }
-    }
-    
-    return false;
-  }
-  
-  // Start traversal from common ancestor
-  depthFirstTraversal(commonAncestor);
-  
-  // Finalize any remaining span
-  finalizeCurrentSpan();
-  
-  return highlightSpans;
-}
-
 // Selection controls functionality is now handled in controls.js
@@ -9,14 +9,35 @@ const browserAPI = (() => {
   throw new Error('Neither browser nor chrome API is available');
 })();
 
+// Read settings from the background's database
+function getSettings(keys, callback) {
+  browserAPI.runtime.sendMessage({ action: 'getSettings', keys }, (response) => {
+    if (browserAPI.runtime.lastError) {
+      debugLog('Error reading settings:', browserAPI.runtime.lastError);
+    }
+    callback((response && response.settings) || {});
+  });
+}
+
 // Highlight controller UI container
 let highlightControlsContainer = null;
-let activeHighlightElement = null;
+// Group whose controls are open
+let activeHighlightGroupId = null;
+// Viewport point where the active group was clicked, used as the split point
+let activeHighlightPoint = null;
+// Drag handles at the start and end of the active group: [{ edge, element }]
+let resizeHandles = null;
 // Flag to know when the native <input type="color"> picker is open
 let colorPickerOpen = false;
 // Track the last added color to apply animation only to new colors
 let lastAddedColor = null;
 
+// Toast offering to undo the last destructive edit
+let undoToast = null;
+let undoToastTimer = null;
+// How long the undo toast stays on screen
+const UNDO_TOAST_DURATION_MS = 6000;
+
 // Selection controls feature
 let selectionControlsEnabled = false;
 let selectionIcon = null;
@@ -47,8 +68,37 @@ function createHighlightControls() {
   deleteButton.innerHTML = `<svg viewBox="0 0 16 16" xmlns="http://www.w3.org/2000/svg" aria-hidden="true" focusable="false"><line x1="4" y1="4" x2="12" y2="12" stroke="white" stroke-width="2" stroke-linecap="round"/><line x1="12" y1="4" x2="4" y2="12" stroke="white" stroke-width="2" stroke-linecap="round"/></svg>`;
   deleteButton.title = getMessage('deleteHighlight');
   deleteButton.addEventListener('click', function (e) {
-    if (activeHighlightElement) {
-      removeHighlight(activeHighlightElement);
+    if (activeHighlightGroupId) {
+      removeHighlightGroup(activeHighlightGroupId);
+    }
+    e.stopPropagation();
+  });
+  const mergeButton = document.createElement('div');
+  mergeButton.className = 'text-highlighter-control-button merge-highlight';
+  mergeButton.innerHTML = `<svg viewBox="0 0 16 16" xmlns="http://www.w3.org/2000/svg" aria-hidden="true" focusable="false"><polyline points="3,4 7,8 3,12" stroke="white" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/><polyline points="13,4 9,8 13,12" stroke="white" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/></svg>`;
+  mergeButton.title = getMessage('mergeHighlight');
+  mergeButton.addEventListener('click', function (e) {
+    if (activeHighlightGroupId) {
+      const groupId = activeHighlightGroupId;
+      hideHighlightControls();
+      mergeHighlightGroup(groupId);
+    }
+    e.stopPropagation();
+  });
+  const splitButton = document.createElement('div');
+  splitButton.className = 'text-highlighter-control-button split-highlight';
+  splitButton.innerHTML = `<svg viewBox="0 0 16 16" xmlns="http://www.w3.org/2000/svg" aria-hidden="true" focusable="false"><polyline points="6,4 2,8 6,12" stroke="white" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/><polyline points="10,4 14,8 10,12" stroke="white" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/></svg>`;
+  splitButton.title = getMessage('splitHighlight');
+  splitButton.addEventListener('click', function (e) {
+    if (activeHighlightGroupId && activeHighlightPoint) {
+      const groupId = activeHighlightGroupId;
+      const point = activeHighlightPoint;
+      // Hide the controls first so they are not hit when resolving the split point
+      hideHighlightControls();
+      const caret = getCaretFromPoint(point.x, point.y);
+      if (caret) {
+        splitHighlightGroup(groupId, caret.node, caret.offset);
+      }
     }
     e.stopPropagation();
   });
@@ -59,6 +109,8 @@ function createHighlightControls() {
     colorButtonsContainer.appendChild(colorButton);
   });
   highlightControlsContainer.appendChild(deleteButton);
+  highlightControlsContainer.appendChild(mergeButton);
+  highlightControlsContainer.appendChild(splitButton);
   highlightControlsContainer.appendChild(colorButtonsContainer);
   highlightControlsContainer.addEventListener('click', function (e) {
     e.stopPropagation();
@@ -77,8 +129,8 @@ function createColorButton(colorInfo) {
   colorButton.style.backgroundColor = colorInfo.color;
   colorButton.title = getMessage(colorInfo.nameKey);
   colorButton.addEventListener('click', function (e) {
-    if (activeHighlightElement) {
-      changeHighlightColor(activeHighlightElement, colorInfo.color);
+    if (activeHighlightGroupId) {
+      changeHighlightGroupColor(activeHighlightGroupId, colorInfo.color);
     }
     e.stopPropagation();
   });
@@ -606,10 +658,12 @@ function refreshHighlightControlsColors() {
 }
 
 // Display highlight controller UI
-function showControlUi(highlightElement, e) {
+function showControlUi(groupId, e) {
   if (!highlightControlsContainer) createHighlightControls();
 
-  activeHighlightElement = highlightElement;
+  activeHighlightGroupId = groupId;
+  activeHighlightPoint = { x: e.clientX, y: e.clientY };
+  showResizeHandles(groupId);
   highlightControlsContainer.style.top = `${window.scrollY + e.clientY - 40}px`;
   highlightControlsContainer.style.left = `${window.scrollX + e.clientX - 40}px`;
   // pop 애니메이션이 항상 재생되도록 visible 클래스를 remove/add
@@ -625,7 +679,128 @@ function hideHighlightControls() {
   if (highlightControlsContainer) {
     highlightControlsContainer.classList.remove('visible');
   }
-  activeHighlightElement = null;
+  activeHighlightGroupId = null;
+  activeHighlightPoint = null;
+  hideResizeHandles();
+}
+
+// ============ RESIZE HANDLES ============
+
+// Show drag handles on the first and last span of a group
+function showResizeHandles(groupId) {
+  hideResizeHandles();
+  resizeHandles = ['start', 'end'].map(edge => createResizeHandle(groupId, edge));
+  positionResizeHandles(groupId);
+}
+
+function hideResizeHandles() {
+  if (!resizeHandles) return;
+  resizeHandles.forEach(handle => handle.element.remove());
+  resizeHandles = null;
+}
+
+function createResizeHandle(groupId, edge) {
+  const handle = document.createElement('div');
+  handle.className = `text-highlighter-resize-handle ${edge}`;
+  handle.title = getMessage(edge === 'start' ? 'resizeHighlightStart' : 'resizeHighlightEnd');
+  handle.addEventListener('pointerdown', (e) => startResizeDrag(e, groupId, edge, handle));
+  handle.addEventListener('click', (e) => e.stopPropagation());
+  document.body.appendChild(handle);
+  return { edge, element: handle };
+}
+
+// Put the handles at the text boundaries of the group's first and last pieces
+function positionResizeHandles(groupId) {
+  if (!resizeHandles) return;
+  const pieces = getHighlightGroupPieces(groupId);
+  const firstRects = pieces.length > 0 ? pieces[0].getClientRects() : [];
+  const lastRects = pieces.length > 0 ? pieces[pieces.length - 1].getClientRects() : [];
+  if (firstRects.length === 0 || lastRects.length === 0) {
+    hideResizeHandles();
+    return;
+  }
+
+  const startRect = firstRects[0];
+  const endRect = lastRects[lastRects.length - 1];
+  resizeHandles.forEach(({ edge, element }) => {
+    const rect = edge === 'start' ? startRect : endRect;
+    element.style.left = `${window.scrollX + (edge === 'start' ? rect.left : rect.right)}px`;
+    element.style.top = `${window.scrollY + rect.top}px`;
+    element.style.height = `${rect.height}px`;
+  });
+}
+
+// Follow the pointer while a handle is dragged, then move the group's boundary where it was dropped
+function startResizeDrag(e, groupId, edge, handle) {
+  if (e.button !== 0) return;
+  // Keeps the browser from starting a text selection
+  e.preventDefault();
+  e.stopPropagation();
+  // Let hit-testing see the text under the handle while it moves
+  handle.classList.add('dragging');
+
+  const handleMove = (moveEvent) => {
+    handle.style.left = `${window.scrollX + moveEvent.clientX}px`;
+    handle.style.top = `${window.scrollY + moveEvent.clientY - handle.offsetHeight / 2}px`;
+  };
+
+  const handleUp = (upEvent) => {
+    document.removeEventListener('pointermove', handleMove);
+    document.removeEventListener('pointerup', handleUp);
+    handle.classList.remove('dragging');
+
+    // The click that ends the drag must not close the controls
+    const swallowClick = (clickEvent) => clickEvent.stopPropagation();
+    window.addEventListener('click', swallowClick, { capture: true, once: true });
+    setTimeout(() => window.removeEventListener('click', swallowClick, { capture: true }), 0);
+
+    const caret = getCaretFromPoint(upEvent.clientX, upEvent.clientY);
+    if (caret) {
+      resizeHighlightGroup(groupId, edge, caret.node, caret.offset);
+    }
+    positionResizeHandles(groupId);
+  };
+
+  document.addEventListener('pointermove', handleMove);
+  document.addEventListener('pointerup', handleUp);
+}
+
+// ============ UNDO TOAST ============
+
+// Show a short notice with an Undo button after an edit that removed highlights
+function showUndoToast(text) {
+  if (!undoToast) {
+    undoToast = document.createElement('div');
+    undoToast.className = 'text-highlighter-toast';
+    const textSpan = document.createElement('span');
+    textSpan.className = 'text-highlighter-toast-text';
+    const undoButton = document.createElement('button');
+    undoButton.className = 'text-highlighter-toast-undo';
+    undoButton.textContent = getMessage('undo') || 'Undo';
+    undoButton.addEventListener('click', function (e) {
+      undoHighlightEdit();
+      e.stopPropagation();
+    });
+    undoToast.appendChild(textSpan);
+    undoToast.appendChild(undoButton);
+    undoToast.addEventListener('click', function (e) {
+      e.stopPropagation();
+    });
+    document.body.appendChild(undoToast);
+  }
+
+  undoToast.querySelector('.text-highlighter-toast-text').textContent = text;
+  undoToast.classList.add('visible');
+  clearTimeout(undoToastTimer);
+  undoToastTimer = setTimeout(hideUndoToast, UNDO_TOAST_DURATION_MS);
+}
+
+function hideUndoToast() {
+  clearTimeout(undoToastTimer);
+  undoToastTimer = null;
+  if (undoToast) {
+    undoToast.classList.remove('visible');
+  }
 }
 
 // ============ SELECTION CONTROLS FUNCTIONS ============
@@ -633,7 +808,7 @@ function hideHighlightControls() {
 // Initialize selection controls feature
 function initializeSelectionControls() {
   // Load selection controls setting from storage
-  browserAPI.storage.local.get(['selectionControlsVisible'], (result) => {
+  getSettings(['selectionControlsVisible'], (result) => {
     selectionControlsEnabled = result.selectionControlsVisible || false;
     debugLog('Selection controls enabled:', selectionControlsEnabled);
   });
@@ -661,7 +836,7 @@ function handleSelectionMouseUp(e) {
     
     if (selectedText && selectedText.length > 0 && selection.rangeCount > 0) {
       // Store a copy of the range to avoid issues with selection changes
-      const range = selection.getRangeAt(0).cloneRange();
+      const range = getSelectedRange().cloneRange();
       currentSelection = {
         selection: selection,
         range: range,
@@ -767,11 +942,10 @@ function showSelectionControls(mouseX, mouseY) {
   selectionControlsContainer = highlightControlsContainer.cloneNode(true);
   selectionControlsContainer.className = 'text-highlighter-controls text-highlighter-selection-controls';
   
-  // Remove the delete button from the cloned container
-  const deleteButton = selectionControlsContainer.querySelector('.delete-highlight');
-  if (deleteButton) {
-    deleteButton.remove();
-  }
+  // Remove the delete, merge and split buttons from the cloned container
+  selectionControlsContainer
+    .querySelectorAll('.delete-highlight, .merge-highlight, .split-highlight')
+    .forEach(button => button.remove());
   
   // Temporarily position off-screen to get dimensions
   selectionControlsContainer.style.left = '-9999px';
@@ -940,8 +1114,8 @@ function addGlobalClickListener() {
         return; 
       }
 
-      const isClickOnHighlight = activeHighlightElement &&
-        (activeHighlightElement.contains(e.target) || activeHighlightElement === e.target);
+      const isClickOnHighlight = activeHighlightGroupId &&
+        getHighlightGroupIdsAt(e).includes(activeHighlightGroupId);
       const isClickOnControls = highlightControlsContainer.contains(e.target) ||
         highlightControlsContainer === e.target;
 
@@ -0,0 +1,42 @@
+// CSV export of highlights for spreadsheets: one row per highlight group.
+
+import { sortByDocumentOrder } from './markdown-export.js';
+
+const CSV_COLUMNS = ['page_url', 'page_title', 'text', 'color', 'color_label', 'created_at', 'position'];
+
+// Spreadsheets run cells starting with these as formulas, so such text is prefixed with '
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// One field, quoted when it holds a comma, quote or line break (RFC 4180)
+function toCsvField(value) {
+  let field = value === undefined || value === null ? '' : String(value);
+  if (FORMULA_PREFIX.test(field)) field = `'${field}`;
+  return /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+}
+
+/**
+ * Render highlight groups as CSV.
+ * @param {Array} pages - Pages with all their highlights. A page's optional groupIds limits
+ *   the rows to those groups; positions still count every highlight of the page.
+ * @param {Function} getColorLabel - Name shown for a highlight color
+ * @returns {string} CSV with a header row and CRLF line ends, starting with a byte order
+ *   mark so spreadsheets read it as UTF-8
+ */
+export function renderCsv(pages, getColorLabel) {
+  const rows = [CSV_COLUMNS];
+  pages.forEach(page => {
+    sortByDocumentOrder(page.highlights).forEach((group, index) => {
+      if (Array.isArray(page.groupIds) && !page.groupIds.includes(group.groupId)) return;
+      rows.push([
+        page.url,
+        page.title || '',
+        group.text || '',
+        group.color || '',
+        getColorLabel(group.color),
+        group.createdAt || '',
+        index + 1
+      ]);
+    });
+  });
+  return '\uFEFF' + rows.map(row => row.map(toCsvField).join(',')).join('\r\n') + '\r\n';
+}
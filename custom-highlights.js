@@ -0,0 +1,471 @@
+// Non-destructive highlight rendering with the CSS Custom Highlight API.
+// Highlights are painted from Range objects registered in CSS.highlights, so the page
+// DOM is never modified and framework re-renders cannot strip them. Hover and click are
+// detected by hit-testing the pointer against the client rects of the stored ranges.
+
+// Prefix of the names registered in CSS.highlights
+const CUSTOM_HIGHLIGHT_PREFIX = 'text-highlighter';
+const CUSTOM_HIGHLIGHT_HOVER = `${CUSTOM_HIGHLIGHT_PREFIX}-hover`;
+const CUSTOM_HIGHLIGHT_FLASH = `${CUSTOM_HIGHLIGHT_PREFIX}-flash`;
+// Paint order: group colors, then blended overlaps, then hover and flash effects
+const CUSTOM_HIGHLIGHT_OVERLAP_PRIORITY = 1;
+const CUSTOM_HIGHLIGHT_HOVER_PRIORITY = 2;
+const CUSTOM_HIGHLIGHT_FLASH_PRIORITY = 3;
+// Quiet period after page mutations before ranges are checked for detached text
+const CUSTOM_HIGHLIGHT_CHECK_DELAY_MS = 300;
+
+class CustomHighlightRenderer {
+  static isSupported() {
+    return typeof CSS !== 'undefined' && 'highlights' in CSS && typeof Highlight === 'function';
+  }
+
+  /**
+   * @param {Object} callbacks
+   * @param {Function} callbacks.onClick - Called with (groupId, event) when a highlight is clicked
+   * @param {Function} callbacks.onDetached - Called with groupIds whose text was removed from the page
+   */
+  constructor({ onClick, onDetached }) {
+    this.onClick = onClick;
+    this.onDetached = onDetached;
+    // groupId -> { color, ranges }
+    this.groups = new Map();
+    // color -> name of the Highlight registered for it
+    this.colorNames = new Map();
+    // "colorA|colorB" -> name of the Highlight painting text shared by both colors
+    this.overlapNames = new Map();
+    // Highlight name -> its ::highlight() rule, and whether the sheet is missing some
+    this.styleRules = new Map();
+    this.styleRulesChanged = true;
+    // Text root -> { groupId, range } of the painted ranges in it, sorted by start
+    this.rootEntries = new Map();
+    // "groupIdA\u0000groupIdB" -> { name, ranges } of the text shared by two groups
+    this.pairOverlaps = new Map();
+    // groupId -> keys of the pairOverlaps entries it is part of
+    this.groupPairs = new Map();
+    this.hoverGroupId = null;
+    this.flashTimer = null;
+    this.pointerFrame = null;
+    this.pointer = null;
+    this.checkTimer = null;
+    this.styleSheet = new CSSStyleSheet();
+    this.styleRoots = new Set();
+    this.mutationObserver = null;
+    this.observedRoots = new Set();
+    // Nesting depth of batch() calls, and whether a render was skipped during them
+    this.batchDepth = 0;
+    this.renderPending = false;
+
+    this.handleClick = this.handleClick.bind(this);
+    this.handleMouseMove = this.handleMouseMove.bind(this);
+  }
+
+  init() {
+    this.adoptStyleSheet(document);
+    // Capture phase: highlights are not elements, so the page would otherwise see the click first
+    window.addEventListener('click', this.handleClick, true);
+    document.addEventListener('mousemove', this.handleMouseMove, { passive: true });
+    this.mutationObserver = new MutationObserver(() => this.scheduleDetachedCheck());
+    this.observeRoot(document.body);
+  }
+
+  destroy() {
+    this.clear();
+    window.removeEventListener('click', this.handleClick, true);
+    document.removeEventListener('mousemove', this.handleMouseMove);
+    cancelAnimationFrame(this.pointerFrame);
+    clearTimeout(this.flashTimer);
+    clearTimeout(this.checkTimer);
+    if (this.mutationObserver) {
+      this.mutationObserver.disconnect();
+      this.mutationObserver = null;
+    }
+    this.observedRoots.clear();
+    this.styleRoots.forEach(root => {
+      root.adoptedStyleSheets = root.adoptedStyleSheets.filter(sheet => sheet !== this.styleSheet);
+    });
+    this.styleRoots.clear();
+    CSS.highlights.delete(CUSTOM_HIGHLIGHT_HOVER);
+    CSS.highlights.delete(CUSTOM_HIGHLIGHT_FLASH);
+  }
+
+  // Make the ::highlight() rules available in a document or shadow root
+  adoptStyleSheet(root) {
+    if (this.styleRoots.has(root)) return;
+    this.styleRoots.add(root);
+    root.adoptedStyleSheets = [...root.adoptedStyleSheets, this.styleSheet];
+  }
+
+  observeRoot(root) {
+    if (!this.mutationObserver || this.observedRoots.has(root)) return;
+    this.observedRoots.add(root);
+    this.mutationObserver.observe(root, { childList: true, subtree: true, characterData: true });
+  }
+
+  /**
+   * Paint a group.
+   * @param {string} groupId - Highlight group id
+   * @param {string} color - Background color
+   * @param {Array} ranges - Ranges covering the group's text
+   */
+  add(groupId, color, ranges) {
+    const painting = this.batchDepth === 0;
+    if (painting && this.groups.has(groupId)) this.detachGroup(groupId);
+    this.groups.set(groupId, { color, ranges });
+    ranges.forEach(range => {
+      const root = range.startContainer.getRootNode();
+      if (root instanceof ShadowRoot) {
+        this.adoptStyleSheet(root);
+        this.observeRoot(root);
+      }
+    });
+    if (painting) this.attachGroup(groupId);
+    this.groupChanged(groupId);
+  }
+
+  remove(groupId) {
+    if (!this.groups.has(groupId)) return;
+    if (this.batchDepth === 0) this.detachGroup(groupId);
+    this.groups.delete(groupId);
+    this.groupChanged(groupId);
+  }
+
+  setColor(groupId, color) {
+    const group = this.groups.get(groupId);
+    if (!group) return;
+    const painting = this.batchDepth === 0;
+    if (painting) this.detachGroup(groupId);
+    group.color = color;
+    if (painting) this.attachGroup(groupId);
+    this.groupChanged(groupId);
+  }
+
+  // Outside a batch, changes are painted group by group; in a batch, everything is
+  // rendered once at the end instead
+  groupChanged(groupId) {
+    if (this.batchDepth > 0) {
+      this.renderPending = true;
+    } else if (groupId === this.hoverGroupId) {
+      this.setHoverGroup(this.groups.has(groupId) ? groupId : null, true);
+    }
+  }
+
+  has(groupId) {
+    return this.groups.has(groupId);
+  }
+
+  // Run callback with rendering deferred, then render once for all the changes it made
+  batch(callback) {
+    this.batchDepth++;
+    try {
+      return callback();
+    } finally {
+      this.batchDepth--;
+      if (this.batchDepth === 0 && this.renderPending) {
+        this.render();
+      }
+    }
+  }
+
+  getRanges(groupId) {
+    const group = this.groups.get(groupId);
+    return group ? group.ranges : [];
+  }
+
+  /**
+   * First range and color of every painted group, in insertion order.
+   * @returns {Array} { groupId, color, range }
+   */
+  getGroupAnchors() {
+    const anchors = [];
+    this.groups.forEach(({ color, ranges }, groupId) => {
+      if (ranges.length > 0) {
+        anchors.push({ groupId, color, range: ranges[0] });
+      }
+    });
+    return anchors;
+  }
+
+  clear() {
+    this.groups.clear();
+    this.render();
+  }
+
+  // Rebuild the per-color Highlight registrations, the overlaps and their ::highlight() rules
+  render() {
+    if (this.batchDepth > 0) {
+      this.renderPending = true;
+      return;
+    }
+    this.renderPending = false;
+    this.colorNames.forEach(name => CSS.highlights.delete(name));
+    this.colorNames.clear();
+    this.overlapNames.forEach(name => CSS.highlights.delete(name));
+    this.overlapNames.clear();
+    this.styleRules.clear();
+    this.styleRulesChanged = true;
+    this.rootEntries.clear();
+    this.pairOverlaps.clear();
+    this.groupPairs.clear();
+
+    this.groups.forEach(({ color, ranges }, groupId) => {
+      const highlight = this.getColorHighlight(color);
+      ranges.forEach(range => {
+        highlight.add(range);
+        this.getRootEntries(range).push({ groupId, range });
+      });
+    });
+    this.rootEntries.forEach(entries => {
+      entries.sort((a, b) => compareStarts(a.range, b.range));
+      this.renderOverlaps(entries);
+    });
+    this.updateStyleSheet();
+    this.setHoverGroup(this.groups.has(this.hoverGroupId) ? this.hoverGroupId : null, true);
+  }
+
+  // Overlapping groups would hide each other's color: paint the shared text of every
+  // overlapping pair with a blend of both colors, above the plain group colors.
+  // Sweeps the ranges of one text root in start order, comparing each range only
+  // with the earlier ones that have not ended yet.
+  renderOverlaps(entries) {
+    let open = [];
+    entries.forEach(entry => {
+      open = open.filter(other => entry.range.comparePoint(other.range.endContainer, other.range.endOffset) >= 0);
+      open.forEach(other => this.addOverlap(other, entry));
+      open.push(entry);
+    });
+  }
+
+  // Paint a group added outside render(), with its overlaps against the painted groups
+  attachGroup(groupId) {
+    const { color, ranges } = this.groups.get(groupId);
+    const highlight = this.getColorHighlight(color);
+    ranges.forEach(range => {
+      highlight.add(range);
+      const entries = this.getRootEntries(range);
+      const entry = { groupId, range };
+      // Ranges that start after this one ends cannot overlap it
+      for (const other of entries) {
+        if (range.comparePoint(other.range.startContainer, other.range.startOffset) > 0) break;
+        this.addOverlap(other, entry);
+      }
+      entries.splice(findInsertIndex(entries, range), 0, entry);
+    });
+    this.updateStyleSheet();
+  }
+
+  // Take a group's ranges and overlaps out of the painted highlights
+  detachGroup(groupId) {
+    const { color, ranges } = this.groups.get(groupId);
+    const highlight = CSS.highlights.get(this.colorNames.get(color));
+    ranges.forEach(range => {
+      if (highlight) highlight.delete(range);
+      const entries = this.getRootEntries(range);
+      const index = entries.findIndex(entry => entry.range === range);
+      if (index !== -1) entries.splice(index, 1);
+    });
+    (this.groupPairs.get(groupId) || new Set()).forEach(key => {
+      const { name, ranges: shared, groupIds } = this.pairOverlaps.get(key);
+      const overlapHighlight = CSS.highlights.get(name);
+      shared.forEach(range => overlapHighlight.delete(range));
+      this.pairOverlaps.delete(key);
+      groupIds.forEach(id => {
+        if (id !== groupId) this.groupPairs.get(id).delete(key);
+      });
+    });
+    this.groupPairs.delete(groupId);
+  }
+
+  getRootEntries(range) {
+    const root = range.startContainer.getRootNode();
+    if (!this.rootEntries.has(root)) this.rootEntries.set(root, []);
+    return this.rootEntries.get(root);
+  }
+
+  // Paint the text shared by two painted ranges of different colors, if any
+  addOverlap(a, b) {
+    if (a.groupId === b.groupId) return;
+    const colorA = this.groups.get(a.groupId).color;
+    const colorB = this.groups.get(b.groupId).color;
+    if (colorA === colorB) return;
+    const shared = intersectRanges(a.range, b.range);
+    if (!shared) return;
+
+    this.getOverlapHighlight(colorA, colorB).add(shared);
+    const groupIds = [a.groupId, b.groupId].sort();
+    const key = groupIds.join('\u0000');
+    if (!this.pairOverlaps.has(key)) {
+      this.pairOverlaps.set(key, { name: this.overlapNames.get(`${colorA}|${colorB}`), ranges: [], groupIds });
+      groupIds.forEach(id => {
+        if (!this.groupPairs.has(id)) this.groupPairs.set(id, new Set());
+        this.groupPairs.get(id).add(key);
+      });
+    }
+    this.pairOverlaps.get(key).ranges.push(shared);
+  }
+
+  getColorHighlight(color) {
+    let name = this.colorNames.get(color);
+    if (!name) {
+      name = `${CUSTOM_HIGHLIGHT_PREFIX}-color-${this.colorNames.size}`;
+      this.colorNames.set(color, name);
+      CSS.highlights.set(name, new Highlight());
+      // The color ends up in a style rule, so only accept real color values
+      const background = CSS.supports('color', color) ? color : 'transparent';
+      this.styleRules.set(name, `::highlight(${name}) { background-color: ${background}; color: #000; }`);
+      this.styleRulesChanged = true;
+    }
+    return CSS.highlights.get(name);
+  }
+
+  getOverlapHighlight(colorA, colorB) {
+    const key = `${colorA}|${colorB}`;
+    let name = this.overlapNames.get(key);
+    if (!name) {
+      name = `${CUSTOM_HIGHLIGHT_PREFIX}-overlap-${this.overlapNames.size}`;
+      this.overlapNames.set(key, name);
+      const overlapHighlight = new Highlight();
+      overlapHighlight.priority = CUSTOM_HIGHLIGHT_OVERLAP_PRIORITY;
+      CSS.highlights.set(name, overlapHighlight);
+      const blend = `color-mix(in srgb, ${colorA}, ${colorB})`;
+      const background = CSS.supports('color', blend) ? blend : 'transparent';
+      this.styleRules.set(name, `::highlight(${name}) { background-color: ${background}; color: #000; text-decoration: underline dotted; }`);
+      this.styleRulesChanged = true;
+    }
+    return CSS.highlights.get(name);
+  }
+
+  // Rewrite the style sheet when highlight names were added since the last write
+  updateStyleSheet() {
+    if (!this.styleRulesChanged) return;
+    this.styleRulesChanged = false;
+    const rules = [
+      `::highlight(${CUSTOM_HIGHLIGHT_HOVER}) { text-decoration: underline 2px rgba(0, 0, 0, 0.35); }`,
+      `::highlight(${CUSTOM_HIGHLIGHT_FLASH}) { background-color: rgba(0, 0, 0, 0.55); color: #fff; }`,
+      ...this.styleRules.values()
+    ];
+    this.styleSheet.replaceSync(rules.join('\n'));
+  }
+
+  /**
+   * Groups whose ranges cover the viewport point (x, y).
+   * Where highlights overlap, the group with the shortest text (the most specific one) comes first.
+   * @returns {Array} Group ids
+   */
+  groupIdsAt(x, y) {
+    const hits = [];
+    this.groups.forEach(({ ranges }, groupId) => {
+      const hit = ranges.some(range =>
+        Array.from(range.getClientRects()).some(rect =>
+          x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom
+        )
+      );
+      if (hit) {
+        const length = ranges.reduce((total, range) => total + range.toString().length, 0);
+        hits.push({ groupId, length });
+      }
+    });
+    return hits.sort((a, b) => a.length - b.length).map(hit => hit.groupId);
+  }
+
+  handleClick(e) {
+    if (e.button !== 0 || this.groups.size === 0) return;
+    // Finishing a text selection also fires a click
+    const selection = window.getSelection();
+    if (selection && !selection.isCollapsed) return;
+    if (e.composedPath().some(node => node.matches && node.matches(EXTENSION_UI_SELECTOR))) return;
+
+    const [groupId] = this.groupIdsAt(e.clientX, e.clientY);
+    if (groupId) {
+      e.stopPropagation();
+      this.onClick(groupId, e);
+    }
+  }
+
+  handleMouseMove(e) {
+    if (this.groups.size === 0 && !this.hoverGroupId) return;
+    this.pointer = { x: e.clientX, y: e.clientY };
+    if (this.pointerFrame) return;
+    this.pointerFrame = requestAnimationFrame(() => {
+      this.pointerFrame = null;
+      this.setHoverGroup(this.groupIdsAt(this.pointer.x, this.pointer.y)[0] || null);
+    });
+  }
+
+  // Underline the hovered group and show the pointer cursor over it
+  setHoverGroup(groupId, force = false) {
+    if (groupId === this.hoverGroupId && !force) return;
+    this.hoverGroupId = groupId;
+    if (groupId) {
+      const hoverHighlight = new Highlight(...this.getRanges(groupId));
+      hoverHighlight.priority = CUSTOM_HIGHLIGHT_HOVER_PRIORITY;
+      CSS.highlights.set(CUSTOM_HIGHLIGHT_HOVER, hoverHighlight);
+    } else {
+      CSS.highlights.delete(CUSTOM_HIGHLIGHT_HOVER);
+    }
+    document.documentElement.classList.toggle('text-highlighter-hovering', Boolean(groupId));
+  }
+
+  // Briefly emphasize a group (used when jumping to it from the minimap)
+  flash(groupId) {
+    clearTimeout(this.flashTimer);
+    const flashHighlight = new Highlight(...this.getRanges(groupId));
+    flashHighlight.priority = CUSTOM_HIGHLIGHT_FLASH_PRIORITY;
+    CSS.highlights.set(CUSTOM_HIGHLIGHT_FLASH, flashHighlight);
+    this.flashTimer = setTimeout(() => {
+      CSS.highlights.delete(CUSTOM_HIGHLIGHT_FLASH);
+    }, 1500);
+  }
+
+  scheduleDetachedCheck() {
+    if (this.groups.size === 0) return;
+    clearTimeout(this.checkTimer);
+    this.checkTimer = setTimeout(() => this.checkDetached(), CUSTOM_HIGHLIGHT_CHECK_DELAY_MS);
+  }
+
+  // Re-rendered pages replace text nodes; report groups whose ranges lost their text
+  checkDetached() {
+    const detached = [];
+    this.groups.forEach(({ ranges }, groupId) => {
+      const lost = ranges.some(range =>
+        !range.startContainer.isConnected || !range.endContainer.isConnected || range.collapsed
+      );
+      if (lost) detached.push(groupId);
+    });
+    if (detached.length === 0) return;
+
+    detached.forEach(groupId => this.groups.delete(groupId));
+    this.render();
+    this.onDetached(detached);
+  }
+}
+
+// Order of two ranges of the same text root by their start
+function compareStarts(a, b) {
+  return a.compareBoundaryPoints(Range.START_TO_START, b);
+}
+
+// Index at which a range goes in a list sorted by start, after ranges starting at the same point
+function findInsertIndex(entries, range) {
+  let low = 0;
+  let high = entries.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (compareStarts(entries[middle].range, range) <= 0) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return low;
+}
+
+// Range covering the text shared by two ranges, or null if they do not overlap
+function intersectRanges(a, b) {
+  if (a.startContainer.getRootNode() !== b.startContainer.getRootNode()) return null;
+  const later = a.compareBoundaryPoints(Range.START_TO_START, b) >= 0 ? a : b;
+  const earlier = a.compareBoundaryPoints(Range.END_TO_END, b) <= 0 ? a : b;
+  const shared = document.createRange();
+  shared.setStart(later.startContainer, later.startOffset);
+  shared.setEnd(earlier.endContainer, earlier.endOffset);
+  return shared.collapsed ? null : shared;
+}
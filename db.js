@@ -0,0 +1,724 @@
+// IndexedDB storage for highlights, page metadata and settings.
+// Only the background service worker opens the database; every other part of the
+// extension reads and writes through its messages.
+//
+// Stores:
+//   pages    { url, domain, title, lastUpdated, revision,
+//              siteName, author, publishedAt, favicon, description } key: url
+//            indexes: domain, lastUpdated
+//   groups   { url, order, groupId, color, text, ..., revision }  key: [url, groupId]
+//            indexes: url, color, createdAt
+//   settings { key, value }                                key: key
+//   trash    { id, kind, url, page, groups, deletedAt }     key: id (auto)
+//            indexes: deletedAt, url
+//   backups  { id, createdAt, reason, fingerprint, pageCount, highlightCount, pages }
+//                                                          key: id (auto)
+//            indexes: createdAt
+//
+// `revision` counts the changes of a page and of each group; it is used to reject
+// writes based on data that was changed elsewhere in the meantime.
+
+const DB_NAME = 'text-highlighter';
+
+// Bump together with a new entry in SCHEMA_UPGRADES
+const DB_VERSION = 3;
+
+// Structural changes, keyed by the version they upgrade to.
+// They run inside the versionchange transaction, oldest first.
+const SCHEMA_UPGRADES = {
+  1(db) {
+    const pages = db.createObjectStore('pages', { keyPath: 'url' });
+    pages.createIndex('domain', 'domain');
+    pages.createIndex('lastUpdated', 'lastUpdated');
+
+    const groups = db.createObjectStore('groups', { keyPath: ['url', 'groupId'] });
+    groups.createIndex('url', 'url');
+    groups.createIndex('color', 'color');
+    groups.createIndex('createdAt', 'createdAt');
+
+    db.createObjectStore('settings', { keyPath: 'key' });
+  },
+  2(db) {
+    const trash = db.createObjectStore('trash', { keyPath: 'id', autoIncrement: true });
+    trash.createIndex('deletedAt', 'deletedAt');
+    trash.createIndex('url', 'url');
+  },
+  3(db) {
+    const backups = db.createObjectStore('backups', { keyPath: 'id', autoIncrement: true });
+    backups.createIndex('createdAt', 'createdAt');
+  }
+};
+
+// Settings that used to be top-level chrome.storage.local keys
+export const SETTING_KEYS = [
+  'customColors',
+  'minimapVisible',
+  'selectionControlsVisible',
+  'nonDestructiveRendering',
+  'urlNormalization',
+  'trashRetentionDays',
+  'backupIntervalHours',
+  'backupCount',
+  'markdownTemplate',
+  'showFavicons'
+];
+
+// Descriptive fields of a page record, taken from the page itself
+export const PAGE_METADATA_FIELDS = [
+  'title',
+  'siteName',
+  'author',
+  'publishedAt',
+  'favicon',
+  'description'
+];
+
+// Settings record holding the number of data migrations already applied
+const DATA_VERSION_KEY = 'dataVersion';
+
+// Data migrations, run in order once the database is open. Each one runs once and
+// receives the database and the legacy chrome.storage.local area.
+const DATA_MIGRATIONS = [
+  importStorageLocal
+];
+
+let databasePromise = null;
+
+// Wrap an IDBRequest in a promise
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Resolve when a transaction has committed
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+  });
+}
+
+function openDatabase() {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+        for (let version = event.oldVersion + 1; version <= event.newVersion; version++) {
+          SCHEMA_UPGRADES[version](db, request.transaction);
+        }
+      };
+      request.onsuccess = () => {
+        const db = request.result;
+        // Another context is upgrading the schema: let it, and reopen on next use
+        db.onversionchange = () => {
+          db.close();
+          databasePromise = null;
+        };
+        resolve(db);
+      };
+      request.onerror = () => {
+        databasePromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return databasePromise;
+}
+
+/**
+ * Open the database and apply any pending data migrations.
+ * @param {Object} legacyStorage - chrome.storage.local, source of the first migration
+ */
+export async function initDatabase(legacyStorage) {
+  const db = await openDatabase();
+  const tx = db.transaction('settings', 'readonly');
+  const record = await requestToPromise(tx.objectStore('settings').get(DATA_VERSION_KEY));
+  const dataVersion = record ? record.value : 0;
+
+  for (let i = dataVersion; i < DATA_MIGRATIONS.length; i++) {
+    await DATA_MIGRATIONS[i](db, legacyStorage);
+    const versionTx = db.transaction('settings', 'readwrite');
+    versionTx.objectStore('settings').put({ key: DATA_VERSION_KEY, value: i + 1 });
+    await transactionDone(versionTx);
+  }
+}
+
+// Host name of a page URL, used for the domain index
+function getDomain(url) {
+  try {
+    return new URL(url).hostname;
+  } catch (error) {
+    return '';
+  }
+}
+
+// Creation time of a group, taken from its Date.now() based id when it has no own field
+function getGroupCreatedAt(group) {
+  if (group.createdAt) return group.createdAt;
+  const timestamp = parseInt(group.groupId, 10);
+  return Number.isFinite(timestamp) ? new Date(timestamp).toISOString() : '';
+}
+
+// Key range covering every group of a page
+function pageGroupsRange(url) {
+  return IDBKeyRange.bound([url], [url, []]);
+}
+
+// Stored group record -> group object as used by the rest of the extension
+function toGroup(record) {
+  const { url, order, ...group } = record;
+  return group;
+}
+
+// Page metadata fields present in meta, leaving out the ones it does not mention
+function pickPageMetadata(meta) {
+  const picked = {};
+  PAGE_METADATA_FIELDS.forEach(field => {
+    if (typeof meta[field] === 'string') picked[field] = meta[field];
+  });
+  return picked;
+}
+
+function putPageRecords(tx, url, groups, meta, revision = 1) {
+  tx.objectStore('pages').put({
+    title: '',
+    ...pickPageMetadata(meta),
+    url,
+    domain: getDomain(url),
+    lastUpdated: meta.lastUpdated || '',
+    revision
+  });
+  const groupStore = tx.objectStore('groups');
+  groupStore.delete(pageGroupsRange(url));
+  groups.forEach((group, order) => {
+    groupStore.put({ ...group, url, order, createdAt: getGroupCreatedAt(group) });
+  });
+}
+
+// ============ PAGES ============
+
+/**
+ * Highlight groups of a page, in their saved order.
+ * @returns {Array} Groups (empty when the page has none)
+ */
+export async function getPageGroups(url) {
+  const db = await openDatabase();
+  const tx = db.transaction('groups', 'readonly');
+  const records = await requestToPromise(tx.objectStore('groups').getAll(pageGroupsRange(url)));
+  return records.sort((a, b) => a.order - b.order).map(toGroup);
+}
+
+// Metadata of a page ({ url, domain, title, lastUpdated, ... }), or null
+export async function getPage(url) {
+  const db = await openDatabase();
+  const tx = db.transaction('pages', 'readonly');
+  return (await requestToPromise(tx.objectStore('pages').get(url))) || null;
+}
+
+/**
+ * Replace the groups of a page and update its metadata in one transaction.
+ * A page without groups is deleted.
+ * @param {string} url - Page key
+ * @param {Array} groups - All groups of the page, in order
+ * @param {Object} meta - { lastUpdated } and the PAGE_METADATA_FIELDS of the page
+ * @param {Object} [options] - { trash: move the groups being replaced to the trash }
+ */
+export async function savePage(url, groups, meta = {}, { trash = false } = {}) {
+  if (groups.length === 0) {
+    if (trash) {
+      await trashPages([url]);
+    } else {
+      await deletePage(url);
+    }
+    return;
+  }
+  const db = await openDatabase();
+  const tx = db.transaction(trash ? ['pages', 'groups', 'trash'] : ['pages', 'groups'], 'readwrite');
+  const done = transactionDone(tx);
+  const page = await requestToPromise(tx.objectStore('pages').get(url));
+  if (trash) {
+    const records = await requestToPromise(tx.objectStore('groups').getAll(pageGroupsRange(url)));
+    if (records.length > 0) {
+      putTrashRecord(tx, 'page', url, page, records, new Date().toISOString());
+    }
+  }
+  putPageRecords(tx, url, groups, meta, ((page && page.revision) || 0) + 1);
+  await done;
+}
+
+/**
+ * Update the descriptive fields of a stored page, e.g. after its title changed.
+ * Pages without highlights are not stored, so nothing is created for them.
+ * @returns {boolean} Whether the page exists
+ */
+export async function updatePageMetadata(url, meta) {
+  const db = await openDatabase();
+  const tx = db.transaction('pages', 'readwrite');
+  const done = transactionDone(tx);
+  const store = tx.objectStore('pages');
+  const page = await requestToPromise(store.get(url));
+  if (page) {
+    store.put({ ...page, ...pickPageMetadata(meta) });
+  }
+  await done;
+  return Boolean(page);
+}
+
+/**
+ * Apply one change to a group of a page in a single transaction.
+ * 'update' and 'remove' carry the revision of the group they were based on; when the
+ * stored group has a different revision (or is gone) the change is rejected.
+ * A missing baseRevision skips the check, for deletions the user asked for explicitly.
+ * With `trash` set, a removed group is kept in the trash; with `untrash` set, an added
+ * group that was deleted to the trash before (an undone deletion) is taken out of it.
+ * @param {string} url - Page key
+ * @param {Object} op - { type: 'add' | 'update' | 'remove', group, groupId, baseRevision, trash, untrash }
+ * @param {Object} meta - { lastUpdated } and the PAGE_METADATA_FIELDS to write to the page
+ * @returns {Object} { success: true, revision, pageRevision, group } with the stored group
+ *   (null after 'remove'), or
+ *   { success: false, conflict: true, group } with the stored group (null if it is gone)
+ */
+export async function applyGroupOperation(url, op, meta = {}) {
+  const db = await openDatabase();
+  const tx = db.transaction(['pages', 'groups', 'trash'], 'readwrite');
+  const done = transactionDone(tx);
+  const pageStore = tx.objectStore('pages');
+  const groupStore = tx.objectStore('groups');
+  const groupId = op.type === 'remove' ? op.groupId : op.group.groupId;
+
+  const [page, stored] = await Promise.all([
+    requestToPromise(pageStore.get(url)),
+    requestToPromise(groupStore.get([url, groupId]))
+  ]);
+
+  const storedRevision = stored ? (stored.revision || 0) : null;
+  let conflict;
+  if (op.type === 'add') {
+    conflict = Boolean(stored);
+  } else if (op.type === 'remove' && !stored) {
+    // Already removed: the outcome is the one asked for
+    conflict = false;
+  } else {
+    conflict = !stored || (op.baseRevision !== undefined && op.baseRevision !== storedRevision);
+  }
+  if (conflict) {
+    await done;
+    return { success: false, conflict: true, group: stored ? toGroup(stored) : null };
+  }
+
+  const now = new Date().toISOString();
+  let record = null;
+  if (op.type === 'add') {
+    const siblings = await requestToPromise(groupStore.getAll(pageGroupsRange(url)));
+    const order = siblings.reduce((max, sibling) => Math.max(max, sibling.order + 1), 0);
+    record = {
+      ...op.group,
+      url,
+      order,
+      revision: 1,
+      createdAt: getGroupCreatedAt(op.group),
+      updatedAt: now
+    };
+    groupStore.put(record);
+    if (op.untrash) {
+      const trashStore = tx.objectStore('trash');
+      const items = await requestToPromise(trashStore.index('url').getAll(url));
+      items
+        .filter(item => item.kind === 'group' && item.groups.some(group => group.groupId === groupId))
+        .forEach(item => trashStore.delete(item.id));
+    }
+  } else if (op.type === 'update') {
+    record = {
+      ...op.group,
+      url,
+      order: stored.order,
+      revision: storedRevision + 1,
+      createdAt: stored.createdAt,
+      updatedAt: now
+    };
+    groupStore.put(record);
+  } else if (stored) {
+    groupStore.delete([url, groupId]);
+    if (op.trash) {
+      putTrashRecord(tx, 'group', url, page, [stored], now);
+    }
+  }
+
+  // A page without groups is removed with its last one
+  const remaining = await requestToPromise(groupStore.count(pageGroupsRange(url)));
+  const pageRevision = ((page && page.revision) || 0) + 1;
+  if (remaining === 0) {
+    pageStore.delete(url);
+  } else {
+    pageStore.put({
+      title: '',
+      ...page,
+      ...pickPageMetadata(meta),
+      url,
+      domain: getDomain(url),
+      lastUpdated: meta.lastUpdated || now,
+      revision: pageRevision
+    });
+  }
+  await done;
+  return {
+    success: true,
+    revision: record ? record.revision : null,
+    pageRevision,
+    group: record ? toGroup(record) : null
+  };
+}
+
+export async function deletePage(url) {
+  const db = await openDatabase();
+  const tx = db.transaction(['pages', 'groups'], 'readwrite');
+  tx.objectStore('pages').delete(url);
+  tx.objectStore('groups').delete(pageGroupsRange(url));
+  await transactionDone(tx);
+}
+
+/**
+ * Every page that has highlights, with its groups.
+ * @returns {Array} [{ url, domain, title, lastUpdated, highlights }]
+ */
+export async function getAllPages() {
+  const db = await openDatabase();
+  const tx = db.transaction(['pages', 'groups'], 'readonly');
+  const [pages, records] = await Promise.all([
+    requestToPromise(tx.objectStore('pages').getAll()),
+    requestToPromise(tx.objectStore('groups').getAll())
+  ]);
+
+  const groupsByUrl = new Map();
+  records.forEach(record => {
+    if (!groupsByUrl.has(record.url)) groupsByUrl.set(record.url, []);
+    groupsByUrl.get(record.url).push(record);
+  });
+  return pages
+    .map(page => ({
+      ...page,
+      highlights: (groupsByUrl.get(page.url) || []).sort((a, b) => a.order - b.order).map(toGroup)
+    }))
+    .filter(page => page.highlights.length > 0);
+}
+
+// Delete every page and group. Returns the number of pages removed.
+export async function deleteAllPages() {
+  const db = await openDatabase();
+  const tx = db.transaction(['pages', 'groups'], 'readwrite');
+  const count = await requestToPromise(tx.objectStore('pages').count());
+  tx.objectStore('pages').clear();
+  tx.objectStore('groups').clear();
+  await transactionDone(tx);
+  return count;
+}
+
+/**
+ * Replace every stored page with the given ones, in one transaction.
+ * @param {Array} pages - [{ url, highlights, lastUpdated, ...metadata }]
+ * @param {Object} [options] - { trash: move the pages being replaced to the trash }
+ */
+export async function replaceAllPages(pages, { trash = false } = {}) {
+  const db = await openDatabase();
+  const tx = db.transaction(trash ? ['pages', 'groups', 'trash'] : ['pages', 'groups'], 'readwrite');
+  if (trash) {
+    const [storedPages, records] = await Promise.all([
+      requestToPromise(tx.objectStore('pages').getAll()),
+      requestToPromise(tx.objectStore('groups').getAll())
+    ]);
+    const deletedAt = new Date().toISOString();
+    storedPages.forEach(page => {
+      const pageRecords = records.filter(record => record.url === page.url);
+      if (pageRecords.length > 0) {
+        putTrashRecord(tx, 'page', page.url, page, pageRecords, deletedAt);
+      }
+    });
+  }
+  tx.objectStore('pages').clear();
+  tx.objectStore('groups').clear();
+  pages.forEach(page => {
+    if (page.url && page.highlights && page.highlights.length > 0) {
+      putPageRecords(tx, page.url, page.highlights, page);
+    }
+  });
+  await transactionDone(tx);
+}
+
+// ============ TRASH ============
+
+// Keep deleted groups, with the metadata of their page, in the trash
+function putTrashRecord(tx, kind, url, page, groupRecords, deletedAt) {
+  const { revision, ...pageMeta } = page || { url, domain: getDomain(url), title: '' };
+  tx.objectStore('trash').add({
+    kind,
+    url,
+    page: pageMeta,
+    groups: groupRecords.sort((a, b) => a.order - b.order).map(toGroup),
+    deletedAt
+  });
+}
+
+/**
+ * Move whole pages with all their groups to the trash.
+ * @param {Array} [urls] - Page keys; every page when left out
+ * @returns {number} Number of pages moved
+ */
+export async function trashPages(urls = null) {
+  const db = await openDatabase();
+  const tx = db.transaction(['pages', 'groups', 'trash'], 'readwrite');
+  const done = transactionDone(tx);
+  const pageStore = tx.objectStore('pages');
+  const groupStore = tx.objectStore('groups');
+  const deletedAt = new Date().toISOString();
+
+  const keys = urls || await requestToPromise(pageStore.getAllKeys());
+  let count = 0;
+  for (const url of keys) {
+    const [page, records] = await Promise.all([
+      requestToPromise(pageStore.get(url)),
+      requestToPromise(groupStore.getAll(pageGroupsRange(url)))
+    ]);
+    if (records.length > 0) {
+      putTrashRecord(tx, 'page', url, page, records, deletedAt);
+      count++;
+    }
+    pageStore.delete(url);
+    groupStore.delete(pageGroupsRange(url));
+  }
+  await done;
+  return count;
+}
+
+/**
+ * Everything in the trash, most recently deleted first.
+ * @returns {Array} [{ id, kind: 'page' | 'group', url, page, groups, deletedAt }]
+ */
+export async function getTrash() {
+  const db = await openDatabase();
+  const tx = db.transaction('trash', 'readonly');
+  const items = await requestToPromise(tx.objectStore('trash').getAll());
+  return items.sort((a, b) => (a.deletedAt < b.deletedAt ? 1 : a.deletedAt > b.deletedAt ? -1 : 0));
+}
+
+/**
+ * Put the groups of a trash item back on their page, after its current groups.
+ * Groups whose id is on the page again are skipped.
+ * @returns {Object|null} { url, groups } with the restored groups, or null if the item is gone
+ */
+export async function restoreTrashItem(id) {
+  const db = await openDatabase();
+  const tx = db.transaction(['pages', 'groups', 'trash'], 'readwrite');
+  const done = transactionDone(tx);
+  const pageStore = tx.objectStore('pages');
+  const groupStore = tx.objectStore('groups');
+  const trashStore = tx.objectStore('trash');
+
+  const item = await requestToPromise(trashStore.get(id));
+  if (!item) {
+    await done;
+    return null;
+  }
+  const [page, records] = await Promise.all([
+    requestToPromise(pageStore.get(item.url)),
+    requestToPromise(groupStore.getAll(pageGroupsRange(item.url)))
+  ]);
+
+  const existingIds = new Set(records.map(record => record.groupId));
+  let order = records.reduce((max, record) => Math.max(max, record.order + 1), 0);
+  const now = new Date().toISOString();
+  const restored = [];
+  item.groups.forEach(group => {
+    if (existingIds.has(group.groupId)) return;
+    const record = {
+      ...group,
+      url: item.url,
+      order: order++,
+      revision: (group.revision || 0) + 1,
+      createdAt: getGroupCreatedAt(group),
+      updatedAt: now
+    };
+    groupStore.put(record);
+    restored.push(toGroup(record));
+  });
+
+  if (restored.length > 0 || page) {
+    pageStore.put({
+      ...item.page,
+      ...page,
+      url: item.url,
+      domain: getDomain(item.url),
+      lastUpdated: now,
+      revision: ((page && page.revision) || 0) + 1
+    });
+  }
+  trashStore.delete(id);
+  await done;
+  return { url: item.url, groups: restored };
+}
+
+// Permanently delete one trash item
+export async function deleteTrashItem(id) {
+  const db = await openDatabase();
+  const tx = db.transaction('trash', 'readwrite');
+  tx.objectStore('trash').delete(id);
+  await transactionDone(tx);
+}
+
+/**
+ * Permanently delete trash items.
+ * @param {string} [deletedBefore] - ISO date; only items deleted before it. Everything when left out.
+ * @returns {number} Number of items removed
+ */
+export async function purgeTrash(deletedBefore = null) {
+  const db = await openDatabase();
+  const tx = db.transaction('trash', 'readwrite');
+  const done = transactionDone(tx);
+  const store = tx.objectStore('trash');
+  let count;
+  if (deletedBefore) {
+    const range = IDBKeyRange.upperBound(deletedBefore, true);
+    const keys = await requestToPromise(store.index('deletedAt').getAllKeys(range));
+    keys.forEach(key => store.delete(key));
+    count = keys.length;
+  } else {
+    count = await requestToPromise(store.count());
+    store.clear();
+  }
+  await done;
+  return count;
+}
+
+// ============ BACKUPS ============
+
+/**
+ * Store a snapshot of all pages.
+ * @param {Object} backup - { createdAt, reason, fingerprint, pages }
+ * @returns {number} Id of the new backup
+ */
+export async function addBackup(backup) {
+  const db = await openDatabase();
+  const tx = db.transaction('backups', 'readwrite');
+  const done = transactionDone(tx);
+  const id = await requestToPromise(tx.objectStore('backups').add({
+    ...backup,
+    pageCount: backup.pages.length,
+    highlightCount: backup.pages.reduce((sum, page) => sum + page.highlights.length, 0)
+  }));
+  await done;
+  return id;
+}
+
+/**
+ * Stored backups without their pages, newest first.
+ * @returns {Array} [{ id, createdAt, reason, fingerprint, pageCount, highlightCount }]
+ */
+export async function getBackupSummaries() {
+  const db = await openDatabase();
+  const tx = db.transaction('backups', 'readonly');
+  const summaries = [];
+  await new Promise((resolve, reject) => {
+    const request = tx.objectStore('backups').index('createdAt').openCursor(null, 'prev');
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve();
+        return;
+      }
+      const { pages, ...summary } = cursor.value;
+      summaries.push(summary);
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+  return summaries;
+}
+
+// A backup with its pages, or null
+export async function getBackup(id) {
+  const db = await openDatabase();
+  const tx = db.transaction('backups', 'readonly');
+  return (await requestToPromise(tx.objectStore('backups').get(id))) || null;
+}
+
+export async function deleteBackup(id) {
+  const db = await openDatabase();
+  const tx = db.transaction('backups', 'readwrite');
+  tx.objectStore('backups').delete(id);
+  await transactionDone(tx);
+}
+
+// Delete the oldest backups until `keep` are left, never deleting the ids in `protectedIds`.
+// Returns the number deleted.
+export async function pruneBackups(keep, protectedIds = []) {
+  const db = await openDatabase();
+  const tx = db.transaction('backups', 'readwrite');
+  const done = transactionDone(tx);
+  const store = tx.objectStore('backups');
+  const ids = await requestToPromise(store.index('createdAt').getAllKeys());
+  const expired = ids
+    .filter(id => !protectedIds.includes(id))
+    .slice(0, Math.max(0, ids.length - keep));
+  expired.forEach(id => store.delete(id));
+  await done;
+  return expired.length;
+}
+
+// ============ SETTINGS ============
+
+/**
+ * Read settings.
+ * @param {Array} keys - Setting names
+ * @returns {Object} Stored values by name; missing settings are left out
+ */
+export async function getSettings(keys) {
+  const db = await openDatabase();
+  const tx = db.transaction('settings', 'readonly');
+  const store = tx.objectStore('settings');
+  const records = await Promise.all(keys.map(key => requestToPromise(store.get(key))));
+  const settings = {};
+  records.forEach((record, i) => {
+    if (record) settings[keys[i]] = record.value;
+  });
+  return settings;
+}
+
+// Write settings given as { name: value }
+export async function setSettings(values) {
+  const db = await openDatabase();
+  const tx = db.transaction('settings', 'readwrite');
+  const store = tx.objectStore('settings');
+  Object.entries(values).forEach(([key, value]) => store.put({ key, value }));
+  await transactionDone(tx);
+}
+
+// ============ DATA MIGRATIONS ============
+
+// 1: move pages (`<url>` + `<url>_meta`) and settings out of chrome.storage.local
+async function importStorageLocal(db, legacyStorage) {
+  if (!legacyStorage) return;
+  const stored = await legacyStorage.get(null);
+
+  const tx = db.transaction(['pages', 'groups', 'settings'], 'readwrite');
+  const migratedKeys = [];
+  for (const key in stored) {
+    if (SETTING_KEYS.includes(key)) {
+      tx.objectStore('settings').put({ key, value: stored[key] });
+      migratedKeys.push(key);
+    } else if (!key.endsWith('_meta') && Array.isArray(stored[key])) {
+      if (stored[key].length > 0) {
+        putPageRecords(tx, key, stored[key], stored[`${key}_meta`] || {});
+      }
+      migratedKeys.push(key, `${key}_meta`);
+    }
+  }
+  await transactionDone(tx);
+
+  // Only drop the old copies once the database holds them
+  if (migratedKeys.length > 0) {
+    await legacyStorage.remove(migratedKeys);
+  }
+}
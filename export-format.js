@@ -0,0 +1,259 @@
+// Format of the highlight export files, and validation of files being imported.
+//
+// File: { formatVersion, exportedAt, pages: [page] }
+// Page: { url, highlights: [group], lastUpdated, ...PAGE_METADATA_FIELDS }
+// Group: { groupId, color, text, spans, selectors, frame?, shadowHostPath?, createdAt?,
+//          updatedAt?, anchorStatus?, anchorConfidence?, orphan?, revision? }
+// Files written before formatVersion existed have the same layout and are read as version 1.
+
+import { PAGE_METADATA_FIELDS } from './db.js';
+
+export const EXPORT_FORMAT_VERSION = 1;
+
+// Color given to imported groups whose color cannot be used
+const FALLBACK_COLOR = '#FFFF00';
+
+// Hex colors, color names, and rgb()/hsl() values; anything else could break the highlight styles
+const COLOR_PATTERN = /^(#[0-9a-f]{3,8}|[a-z]+|(rgba?|hsla?)\([\d\s.,%]+\))$/i;
+
+// Frame keys made by content.js for frames without an address of their own: "frame:" and
+// the child frame indexes down from the top frame. Other frames are keyed by their URL,
+// followed by " N" when N earlier frames of the page show the same URL.
+const FRAME_PATH_PATTERN = /^frame:\d+(\.\d+)*$/;
+const FRAME_URL_PATTERN = /^(\S+)(?: [1-9]\d*)?$/;
+
+// Page fields that are derived from the highlights and dropped without a report
+const DERIVED_PAGE_FIELDS = ['highlightCount'];
+
+// Issues that make a page or group unusable
+const REJECTING_ISSUES = ['notAnObject', 'invalidUrl', 'missingHighlights', 'noValidHighlights', 'noAnchor'];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isDateString(value) {
+  return typeof value === 'string' && Number.isFinite(Date.parse(value));
+}
+
+function isAbsoluteUrl(value) {
+  if (typeof value !== 'string' || !value) return false;
+  try {
+    new URL(value);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function getStatus(issues) {
+  if (issues.some(issue => REJECTING_ISSUES.includes(issue.code))) return 'rejected';
+  return issues.length > 0 ? 'repaired' : 'accepted';
+}
+
+// Selectors that anchoring.js can use; the others are dropped
+function isValidSelector(selector) {
+  if (!isPlainObject(selector)) return false;
+  if (selector.type === 'TextQuoteSelector') {
+    return typeof selector.exact === 'string' && selector.exact !== '' &&
+      ['prefix', 'suffix'].every(key => selector[key] === undefined || typeof selector[key] === 'string');
+  }
+  if (selector.type === 'TextPositionSelector') {
+    return Number.isInteger(selector.start) && Number.isInteger(selector.end) &&
+      selector.start >= 0 && selector.start <= selector.end;
+  }
+  return false;
+}
+
+// Legacy span records: their text and where they were on the page
+function isValidSpan(span) {
+  return isPlainObject(span) && typeof span.text === 'string' && span.text !== '' &&
+    Number.isFinite(span.position) && (span.spanId === undefined || typeof span.spanId === 'string');
+}
+
+// Check optional fields against their validators, copying the valid ones into `clean`
+function copyOptionalFields(source, clean, validators, issues) {
+  Object.entries(validators).forEach(([field, isValid]) => {
+    if (source[field] === undefined || source[field] === null || source[field] === '') return;
+    if (isValid(source[field])) {
+      clean[field] = source[field];
+    } else {
+      issues.push({ code: 'invalidField', field });
+    }
+  });
+}
+
+const OPTIONAL_GROUP_FIELDS = {
+  frame: value => typeof value === 'string' &&
+    (FRAME_PATH_PATTERN.test(value) || (FRAME_URL_PATTERN.test(value) && isAbsoluteUrl(value.match(FRAME_URL_PATTERN)[1]))),
+  shadowHostPath: value => Array.isArray(value) && value.every(item => typeof item === 'string' && item !== ''),
+  createdAt: isDateString,
+  updatedAt: isDateString,
+  anchorStatus: value => typeof value === 'string',
+  anchorConfidence: value => Number.isFinite(value) && value >= 0 && value <= 1,
+  orphan: value => isPlainObject(value) && typeof value.reason === 'string',
+  revision: value => Number.isInteger(value) && value >= 0
+};
+
+const GROUP_FIELDS = ['groupId', 'color', 'text', 'spans', 'selectors', ...Object.keys(OPTIONAL_GROUP_FIELDS)];
+
+/**
+ * Check one imported group and build a clean copy of it.
+ * @param {*} group - Group from the file
+ * @param {Set} usedIds - groupIds already taken on the page; the group's id is added
+ * @param {Function} createId - Makes a new groupId
+ * @returns {Object} { group, groupId, status, issues } where group is null when rejected
+ */
+function validateGroup(group, usedIds, createId) {
+  const issues = [];
+  if (!isPlainObject(group)) {
+    return { group: null, groupId: null, status: 'rejected', issues: [{ code: 'notAnObject' }] };
+  }
+  const clean = {};
+
+  let groupId = typeof group.groupId === 'number' ? String(group.groupId) : group.groupId;
+  if (typeof groupId !== 'string' || groupId === '') {
+    issues.push({ code: 'missingGroupId' });
+    groupId = createId();
+  } else if (usedIds.has(groupId)) {
+    issues.push({ code: 'duplicateGroupId' });
+    groupId = createId();
+  }
+  clean.groupId = groupId;
+
+  const selectors = group.selectors === undefined ? [] : group.selectors;
+  clean.selectors = Array.isArray(selectors) ? selectors.filter(isValidSelector) : [];
+  if (!Array.isArray(selectors) || clean.selectors.length < selectors.length) {
+    issues.push({ code: 'invalidField', field: 'selectors' });
+  }
+  const spans = group.spans === undefined ? [] : group.spans;
+  clean.spans = Array.isArray(spans) ? spans.filter(isValidSpan) : [];
+  if (!Array.isArray(spans) || clean.spans.length < spans.length) {
+    issues.push({ code: 'invalidField', field: 'spans' });
+  }
+
+  const quote = clean.selectors.find(selector => selector.type === 'TextQuoteSelector');
+  if (!quote && clean.spans.length === 0) {
+    issues.push({ code: 'noAnchor' });
+    return { group: null, groupId, status: 'rejected', issues };
+  }
+
+  if (typeof group.text === 'string' && group.text !== '') {
+    clean.text = group.text;
+  } else {
+    issues.push({ code: 'invalidText' });
+    clean.text = quote ? quote.exact : clean.spans.map(span => span.text).join('');
+  }
+
+  if (typeof group.color === 'string' && COLOR_PATTERN.test(group.color.trim())) {
+    clean.color = group.color.trim();
+  } else {
+    issues.push({ code: 'invalidColor' });
+    clean.color = FALLBACK_COLOR;
+  }
+
+  copyOptionalFields(group, clean, OPTIONAL_GROUP_FIELDS, issues);
+  Object.keys(group)
+    .filter(key => !GROUP_FIELDS.includes(key))
+    .forEach(field => issues.push({ code: 'unknownField', field }));
+
+  usedIds.add(groupId);
+  return { group: clean, groupId, status: getStatus(issues), issues };
+}
+
+const OPTIONAL_PAGE_FIELDS = {
+  lastUpdated: isDateString,
+  ...Object.fromEntries(PAGE_METADATA_FIELDS.map(field => [field, value => typeof value === 'string']))
+};
+
+const PAGE_FIELDS = ['url', 'highlights', ...DERIVED_PAGE_FIELDS, ...Object.keys(OPTIONAL_PAGE_FIELDS)];
+
+/**
+ * Check one imported page and its groups.
+ * @returns {Object} { page, entry } where page is the clean page, or null when rejected,
+ *   and entry is its report: { index, url, status, issues, highlights: [{ index, groupId, status, issues }] }
+ */
+function validatePage(page, index, createId) {
+  const entry = { index, url: '', status: 'accepted', issues: [], highlights: [] };
+  if (!isPlainObject(page)) {
+    entry.issues.push({ code: 'notAnObject' });
+    entry.status = 'rejected';
+    return { page: null, entry };
+  }
+  entry.url = typeof page.url === 'string' ? page.url : '';
+  if (!isAbsoluteUrl(page.url)) entry.issues.push({ code: 'invalidUrl' });
+  if (!Array.isArray(page.highlights)) entry.issues.push({ code: 'missingHighlights' });
+  if (entry.issues.length > 0) {
+    entry.status = 'rejected';
+    return { page: null, entry };
+  }
+
+  const clean = { url: page.url, highlights: [] };
+  copyOptionalFields(page, clean, OPTIONAL_PAGE_FIELDS, entry.issues);
+  Object.keys(page)
+    .filter(key => !PAGE_FIELDS.includes(key))
+    .forEach(field => entry.issues.push({ code: 'unknownField', field }));
+
+  const usedIds = new Set();
+  page.highlights.forEach((group, groupIndex) => {
+    const result = validateGroup(group, usedIds, createId);
+    entry.highlights.push({ index: groupIndex, groupId: result.groupId, status: result.status, issues: result.issues });
+    if (result.group) clean.highlights.push(result.group);
+  });
+  if (clean.highlights.length === 0) {
+    entry.issues.push({ code: 'noValidHighlights' });
+  }
+
+  entry.status = getStatus(entry.issues);
+  if (entry.status === 'accepted' && entry.highlights.some(highlight => highlight.status !== 'accepted')) {
+    entry.status = 'repaired';
+  }
+  return { page: entry.status === 'rejected' ? null : clean, entry };
+}
+
+/**
+ * Validate an import file against the export format.
+ * Every page and group is checked: usable ones are copied with only known fields, fixable
+ * problems are repaired, and the rest is rejected.
+ * @param {*} file - Parsed JSON of the file
+ * @returns {Object} { success, error?, formatVersion, pages, report } where pages holds the
+ *   clean pages to import and report one entry per page of the file (see validatePage)
+ */
+export function validateExportFile(file) {
+  if (!isPlainObject(file) || !Array.isArray(file.pages)) {
+    return { success: false, error: 'invalidFormat' };
+  }
+  const formatVersion = file.formatVersion === undefined ? 1 : file.formatVersion;
+  if (!Number.isInteger(formatVersion) || formatVersion < 1 || formatVersion > EXPORT_FORMAT_VERSION) {
+    return { success: false, error: 'unsupportedVersion', formatVersion };
+  }
+
+  // New ids follow content.js (creation time), with a counter to keep them apart
+  const idBase = Date.now();
+  let idCount = 0;
+  const createId = () => `${idBase}_import${idCount++}`;
+
+  const pages = [];
+  const report = [];
+  file.pages.forEach((page, index) => {
+    const result = validatePage(page, index, createId);
+    if (result.page) pages.push(result.page);
+    report.push(result.entry);
+  });
+  return { success: true, formatVersion, pages, report };
+}
+
+// Export file for the given pages
+export function buildExportFile(pages) {
+  return {
+    formatVersion: EXPORT_FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    pages: pages.map(page => {
+      const exported = { url: page.url, highlights: page.highlights };
+      ['lastUpdated', ...PAGE_METADATA_FIELDS].forEach(field => {
+        if (page[field]) exported[field] = page[field];
+      });
+      return exported;
+    })
+  };
+}
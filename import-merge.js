@@ -0,0 +1,105 @@
+// Merging of imported highlight groups into the groups already stored for a page.
+
+// Fields that only record storage or anchoring bookkeeping, not what the user made
+const BOOKKEEPING_FIELDS = ['revision', 'createdAt', 'updatedAt', 'anchorStatus', 'anchorConfidence', 'orphan', 'spans'];
+
+/**
+ * Key identifying the text a group is anchored to, so the same highlight is recognized
+ * when it was created separately on both sides (and so has different groupIds).
+ * @returns {string|null} null when the group has nothing to compare
+ */
+function getAnchorKey(group) {
+  const selectors = Array.isArray(group.selectors) ? group.selectors : [];
+  const quote = selectors.find(selector => selector && selector.type === 'TextQuoteSelector');
+  const root = JSON.stringify([group.frame || null, group.shadowHostPath || null]);
+  if (quote) {
+    return `${root}\u0000${quote.exact}\u0000${quote.prefix || ''}\u0000${quote.suffix || ''}`;
+  }
+  // Old-format groups: their text and where its first piece was on the page
+  const firstSpan = Array.isArray(group.spans) && group.spans[0];
+  if (group.text && firstSpan) {
+    return `${root}\u0000${group.text}\u0000${firstSpan.position}`;
+  }
+  return null;
+}
+
+// Serialized content of a group, without bookkeeping, to tell whether two copies differ
+function getGroupContent(group) {
+  const content = {};
+  Object.keys(group)
+    .filter(key => key !== 'groupId' && !BOOKKEEPING_FIELDS.includes(key))
+    .sort()
+    .forEach(key => {
+      content[key] = group[key];
+    });
+  return JSON.stringify(content);
+}
+
+// When a copy of a group was last changed, falling back to its page's update time
+function getEditTime(group, pageUpdated) {
+  const time = Date.parse(group.updatedAt || group.createdAt || pageUpdated || '');
+  return Number.isFinite(time) ? time : 0;
+}
+
+/**
+ * Union of the stored and imported groups of a page.
+ * Groups match by groupId, otherwise by the text they are anchored to. When both copies
+ * of a group differ, the more recently edited one is kept and the pair counts as a conflict.
+ * Stored groups missing from the import are kept.
+ * @param {Array} currentGroups - Stored groups
+ * @param {Array} importedGroups - Groups from the import file
+ * @param {Object} times - { currentUpdated, importedUpdated } page update times
+ * @returns {Object} { groups, added, updated, conflicts, unchanged }
+ *   where conflicts lists { groupId, text, kept: 'current' | 'imported' }
+ */
+export function mergePageGroups(currentGroups, importedGroups, times = {}) {
+  const groups = currentGroups.map(group => ({ ...group }));
+  const byId = new Map(groups.map(group => [group.groupId, group]));
+  const byAnchor = new Map();
+  groups.forEach(group => {
+    const key = getAnchorKey(group);
+    if (key && !byAnchor.has(key)) byAnchor.set(key, group);
+  });
+
+  const result = { groups, added: 0, updated: 0, conflicts: [], unchanged: 0 };
+  importedGroups.forEach(imported => {
+    if (!imported || !imported.groupId) return;
+    const anchorKey = getAnchorKey(imported);
+    const current = byId.get(imported.groupId) || (anchorKey && byAnchor.get(anchorKey));
+
+    if (!current) {
+      const added = { ...imported };
+      delete added.revision;
+      groups.push(added);
+      byId.set(added.groupId, added);
+      if (anchorKey) byAnchor.set(anchorKey, added);
+      result.added++;
+      return;
+    }
+
+    if (getGroupContent(current) === getGroupContent(imported)) {
+      result.unchanged++;
+      return;
+    }
+
+    const importedIsNewer = getEditTime(imported, times.importedUpdated) >
+      getEditTime(current, times.currentUpdated);
+    result.conflicts.push({
+      groupId: current.groupId,
+      text: current.text,
+      kept: importedIsNewer ? 'imported' : 'current'
+    });
+    if (importedIsNewer) {
+      // The stored id stays, so open pages and later edits keep pointing at the group
+      const { groupId, revision, createdAt } = current;
+      Object.keys(current).forEach(key => delete current[key]);
+      Object.assign(current, imported, {
+        groupId,
+        revision: (revision || 0) + 1,
+        createdAt: createdAt || imported.createdAt
+      });
+      result.updated++;
+    }
+  });
+  return result;
+}
@@ -0,0 +1,98 @@
+// Markdown export of highlighted pages, laid out by a user-editable template.
+//
+// The page template can use {{title}}, {{url}}, {{date}}, {{siteName}}, {{author}},
+// {{count}} and {{highlights}}; the highlight template {{text}}, {{quote}} (the text as a
+// blockquote), {{color}} (its color label) and {{date}}. Unknown placeholders are left as they are.
+
+export const DEFAULT_MARKDOWN_TEMPLATE = {
+  page: '# {{title}}\n\nSource: {{url}}\nDate: {{date}}\n\n{{highlights}}',
+  highlight: '{{quote}}\n>\n> *{{color}}*'
+};
+
+// Template with the defaults for parts that are missing or not text
+export function sanitizeMarkdownTemplate(template) {
+  const source = template && typeof template === 'object' ? template : {};
+  return {
+    page: typeof source.page === 'string' && source.page.trim() ? source.page : DEFAULT_MARKDOWN_TEMPLATE.page,
+    highlight: typeof source.highlight === 'string' && source.highlight.trim()
+      ? source.highlight
+      : DEFAULT_MARKDOWN_TEMPLATE.highlight
+  };
+}
+
+// Replace {{name}} placeholders in one pass, so values are never expanded themselves
+function fillTemplate(template, values) {
+  return template.replace(/\{\{(\w+)\}\}/g, (placeholder, name) =>
+    Object.prototype.hasOwnProperty.call(values, name) ? values[name] : placeholder
+  );
+}
+
+// Date part of an ISO time, or '' when there is none
+function formatDate(isoDate) {
+  const time = Date.parse(isoDate || '');
+  return Number.isFinite(time) ? new Date(time).toISOString().slice(0, 10) : '';
+}
+
+// Kinds of position a group can have, in the order they are listed within a root
+const POSITION_TEXT_OFFSET = 0;
+const POSITION_PIXELS = 1;
+const POSITION_UNKNOWN = 2;
+
+// Where a group starts in its frame and shadow root: the character offset of its text.
+// Old-format groups only know their pixel position on the page, which cannot be compared
+// with an offset, so they come after the others and are ordered by it among themselves.
+function getDocumentPosition(group) {
+  const root = `${group.frame || ''}\u0000${(group.shadowHostPath || []).join('\u0000')}`;
+  const position = (group.selectors || []).find(selector => selector.type === 'TextPositionSelector');
+  if (position) return { root, kind: POSITION_TEXT_OFFSET, value: position.start };
+  const firstSpan = Array.isArray(group.spans) && group.spans[0];
+  if (firstSpan) return { root, kind: POSITION_PIXELS, value: firstSpan.position };
+  return { root, kind: POSITION_UNKNOWN, value: 0 };
+}
+
+// Groups of a page in the order they appear in the document
+export function sortByDocumentOrder(groups) {
+  return groups
+    .map(group => ({ group, position: getDocumentPosition(group) }))
+    .sort((a, b) => {
+      if (a.position.root !== b.position.root) return a.position.root < b.position.root ? -1 : 1;
+      if (a.position.kind !== b.position.kind) return a.position.kind - b.position.kind;
+      return a.position.value - b.position.value;
+    })
+    .map(item => item.group);
+}
+
+function toBlockquote(text) {
+  return text.split(/\r?\n/).map(line => (line ? `> ${line}` : '>')).join('\n');
+}
+
+/**
+ * Render pages as Markdown.
+ * @param {Array} pages - Stored pages with their highlights
+ * @param {Object} template - { page, highlight } (see sanitizeMarkdownTemplate)
+ * @param {Function} getColorLabel - Name shown for a highlight color
+ * @returns {string} Markdown of all pages, one after another
+ */
+export function renderMarkdown(pages, template, getColorLabel) {
+  const { page: pageTemplate, highlight: highlightTemplate } = sanitizeMarkdownTemplate(template);
+  return pages.map(page => {
+    const highlights = sortByDocumentOrder(page.highlights).map(group => {
+      const text = (group.text || '').trim();
+      return fillTemplate(highlightTemplate, {
+        text,
+        quote: toBlockquote(text),
+        color: getColorLabel(group.color),
+        date: formatDate(group.createdAt)
+      });
+    });
+    return fillTemplate(pageTemplate, {
+      title: (page.title || page.url).replace(/\s+/g, ' ').trim(),
+      url: page.url,
+      date: formatDate(page.lastUpdated),
+      siteName: page.siteName || '',
+      author: page.author || '',
+      count: String(page.highlights.length),
+      highlights: highlights.join('\n\n')
+    }).trim();
+  }).join('\n\n') + '\n';
+}
@@ -56,8 +56,9 @@ class MinimapManager {
     if (!this.container) return;
     this.clearMarkers();
     // 그룹별로 대표 span만 마커로 표시
-    const highlightElements = document.querySelectorAll('.text-highlighter-extension');
-    if (highlightElements.length === 0) {
+    const groupAnchors = getHighlightGroupAnchors();
+    const frameMarkers = getChildFrameMarkers();
+    if (groupAnchors.length === 0 && frameMarkers.length === 0) {
       this.container.style.display = 'none';
       return;
     }
@@ -77,16 +78,13 @@ class MinimapManager {
     if (minimapHeight === 0) {
       minimapHeight = this.defaultMinimapHeight;
     }
-    // groupId별로 대표 span만 마커로 표시
-    const groupMap = new Map();
-    highlightElements.forEach(element => {
-      const groupId = element.dataset.groupId;
-      if (!groupMap.has(groupId)) {
-        groupMap.set(groupId, element);
-      }
+    // groupId별로 대표 span(또는 Range)만 마커로 표시
+    groupAnchors.forEach(anchor => {
+      this.createMarker(anchor, documentHeight, minimapHeight);
     });
-    groupMap.forEach(element => {
-      this.createMarker(element, documentHeight, minimapHeight);
+    // Highlights inside iframes, placed at the iframe's offset in this page
+    frameMarkers.forEach(frameMarker => {
+      this.createFrameMarker(frameMarker, documentHeight, minimapHeight);
     });
     this.updateMarkerVisibility();
   }
@@ -99,8 +97,10 @@ class MinimapManager {
     this.markers = [];
   }
 
-  // Create individual marker
-  createMarker(highlightElement, documentHeight, minimapHeight) {
+  // Create individual marker.
+  // The anchor target is the group's first span, or its Range with the Custom Highlight API.
+  createMarker(anchor, documentHeight, minimapHeight) {
+    const highlightElement = anchor.target;
     const rect = highlightElement.getBoundingClientRect();
     const scrollTop = window.scrollY || document.documentElement.scrollTop;
     const absoluteTop = rect.top + scrollTop;
@@ -112,15 +112,19 @@ class MinimapManager {
     // Create marker element
     const marker = document.createElement('div');
     marker.className = 'text-highlighter-minimap-marker';
-    marker.style.backgroundColor = highlightElement.style.backgroundColor;
+    marker.style.backgroundColor = anchor.color;
     marker.style.top = `${markerPosition}px`;
-    marker.dataset.highlightId = highlightElement.dataset.highlightId;
+    marker.dataset.groupId = anchor.groupId;
 
     // Marker click event
     marker.addEventListener('click', (e) => {
       e.stopPropagation();
       this.scrollToHighlight(highlightElement);
-      this.highlightTemporarily(highlightElement);
+      if (highlightElement instanceof Element) {
+        this.highlightTemporarily(highlightElement);
+      } else {
+        flashHighlightGroup(anchor.groupId);
+      }
     });
 
     this.container.appendChild(marker);
@@ -131,6 +135,36 @@ class MinimapManager {
     });
   }
 
+  // Create a marker for a highlight reported by a child frame
+  createFrameMarker(frameMarker, documentHeight, minimapHeight) {
+    const scrollTop = window.scrollY || document.documentElement.scrollTop;
+    const absoluteTop = frameMarker.top + scrollTop;
+    const markerPosition = (absoluteTop / documentHeight) * minimapHeight;
+
+    const marker = document.createElement('div');
+    marker.className = 'text-highlighter-minimap-marker';
+    marker.style.backgroundColor = frameMarker.color;
+    marker.style.top = `${markerPosition}px`;
+
+    // Bring the iframe into view, then let its content script scroll to the highlight
+    marker.addEventListener('click', (e) => {
+      e.stopPropagation();
+      window.scrollTo({
+        top: absoluteTop - 100,
+        behavior: 'smooth'
+      });
+      requestFrameScroll(frameMarker.frameWindow, frameMarker.groupId);
+    });
+
+    this.container.appendChild(marker);
+    this.markers.push({
+      element: marker,
+      highlightElement: null,
+      position: absoluteTop,
+      bottom: frameMarker.bottom + scrollTop
+    });
+  }
+
   // Calculate document height
   getDocumentHeight() {
     return Math.max(
@@ -154,9 +188,13 @@ class MinimapManager {
     };
 
     this.markers.forEach(marker => {
-      const highlightRect = marker.highlightElement.getBoundingClientRect();
-      const highlightAbsoluteTop = highlightRect.top + scrollTop;
-      const highlightAbsoluteBottom = highlightRect.bottom + scrollTop;
+      let highlightAbsoluteTop = marker.position;
+      let highlightAbsoluteBottom = marker.bottom;
+      if (marker.highlightElement) {
+        const highlightRect = marker.highlightElement.getBoundingClientRect();
+        highlightAbsoluteTop = highlightRect.top + scrollTop;
+        highlightAbsoluteBottom = highlightRect.bottom + scrollTop;
+      }
 
       // Check if visible on current screen
       const isVisible = (
@@ -258,8 +296,7 @@ class MinimapManager {
     if (!this.container) return;
 
     // Only show minimap when highlights exist
-    const highlightElements = document.querySelectorAll('.text-highlighter-extension');
-    const hasHighlights = highlightElements.length > 0;
+    const hasHighlights = getHighlightGroupAnchors().length > 0 || getChildFrameMarkers().length > 0;
 
     if (hasHighlights && this.visible) {
       this.container.style.display = 'flex';
@@ -45,9 +45,9 @@ document.addEventListener('DOMContentLoaded', function () {
   const debugLog = DEBUG_MODE ? console.log.bind(console) : () => {};
 
   // Function to get messages for multi-language support
-  function getMessage(key, defaultValue = '') {
+  function getMessage(key, defaultValue = '', substitutions = null) {
     if (typeof chrome !== 'undefined' && browserAPI.i18n) {
-      return browserAPI.i18n.getMessage(key) || defaultValue;
+      return browserAPI.i18n.getMessage(key, substitutions) || defaultValue;
     }
     return defaultValue;
   }
@@ -75,33 +75,50 @@ document.addEventListener('DOMContentLoaded', function () {
     });
   }
 
+  // Site icons are requested from each site, so they are only shown when turned on in the settings
+  let showFavicons = false;
+
   // Load all highlighted pages data
   function loadAllHighlightedPages() {
-    browserAPI.runtime.sendMessage({ action: 'getAllHighlightedPages' }, (response) => {
-      if (response && response.success) {
-        debugLog('Received all highlighted pages from background:', response.pages);
-        displayPages(response.pages);
-      } else {
-        debugLog('Error loading highlighted pages:', response);
-        displayPages([]);
-      }
+    browserAPI.runtime.sendMessage({ action: 'getSettings', keys: ['showFavicons'] }, (settingsResponse) => {
+      showFavicons = Boolean(settingsResponse && settingsResponse.settings && settingsResponse.settings.showFavicons);
+      browserAPI.runtime.sendMessage({ action: 'getAllHighlightedPages' }, (response) => {
+        if (response && response.success) {
+          debugLog('Received all highlighted pages from background:', response.pages);
+          displayPages(response.pages);
+        } else {
+          debugLog('Error loading highlighted pages:', response);
+          displayPages([]);
+        }
+      });
     });
   }
 
   // Search functionality
+  // Search term matching, shared by the list filter and the CSV export
+  function normalizeSearchTerm(value) {
+    return value.trim().toLowerCase();
+  }
+
+  function pageTitleMatches(page, term) {
+    return (page.title || '').toLowerCase().includes(term);
+  }
+
+  function highlightMatches(group, term) {
+    return Boolean(group.text && group.text.toLowerCase().includes(term));
+  }
+
   function filterPages(searchTerm) {
-    if (!searchTerm.trim()) {
+    const term = normalizeSearchTerm(searchTerm);
+    if (!term) {
       filteredPages = [...allPages];
     } else {
-      const term = searchTerm.toLowerCase();
       filteredPages = allPages.filter(page => {
         // Search in page title
-        const titleMatch = (page.title || '').toLowerCase().includes(term);
+        const titleMatch = pageTitleMatches(page, term);
 
         // Search in highlight text
-        const highlightMatch = page.highlights && page.highlights.some(group =>
-          group.text && group.text.toLowerCase().includes(term)
-        );
+        const highlightMatch = page.highlights && page.highlights.some(group => highlightMatches(group, term));
 
         return titleMatch || highlightMatch;
       });
@@ -173,7 +190,42 @@ document.addEventListener('DOMContentLoaded', function () {
 
         const titleDiv = document.createElement('div');
         titleDiv.className = 'page-title';
-        titleDiv.textContent = pageTitle;
+
+        // Pages picked for the Markdown export
+        const selectBox = document.createElement('input');
+        selectBox.type = 'checkbox';
+        selectBox.className = 'page-select';
+        selectBox.checked = selectedPageUrls.has(page.url);
+        selectBox.title = getMessage('selectForExport', 'Select for export');
+        selectBox.addEventListener('change', () => {
+          if (selectBox.checked) {
+            selectedPageUrls.add(page.url);
+          } else {
+            selectedPageUrls.delete(page.url);
+          }
+        });
+        titleDiv.appendChild(selectBox);
+
+        if (showFavicons && page.favicon) {
+          const favicon = document.createElement('img');
+          favicon.className = 'page-favicon';
+          favicon.referrerPolicy = 'no-referrer';
+          favicon.src = page.favicon;
+          favicon.alt = '';
+          // Sites without an icon: keep the title aligned without a broken image
+          favicon.addEventListener('error', () => favicon.remove());
+          titleDiv.appendChild(favicon);
+        }
+        titleDiv.appendChild(document.createTextNode(pageTitle));
+
+        // Site name, author and publication date, when the page provided them
+        const bylineParts = [page.siteName, page.author];
+        if (page.publishedAt) {
+          const published = new Date(page.publishedAt);
+          const locale = browserAPI.i18n.getUILanguage ? browserAPI.i18n.getUILanguage() : 'en';
+          bylineParts.push(isNaN(published) ? page.publishedAt : published.toLocaleDateString(locale));
+        }
+        const byline = bylineParts.filter(Boolean).join(' · ');
 
         const urlDiv = document.createElement('div');
         urlDiv.className = 'page-url';
@@ -182,8 +234,19 @@ document.addEventListener('DOMContentLoaded', function () {
         const infoDiv = document.createElement('div');
         infoDiv.className = 'page-info';
         infoDiv.textContent = `${getMessage('highlightCount', 'Highlights')}: ${page.highlightCount} | ${getMessage('lastUpdated', 'Last Updated')}: ${lastUpdated}`;
+        const orphanCount = page.highlights.filter(group => group.orphan).length;
+        if (orphanCount > 0) {
+          infoDiv.textContent += ` | ${getMessage('orphanedHighlights', "Couldn't Place")}: ${orphanCount}`;
+        }
 
         infoContainer.appendChild(titleDiv);
+        if (byline) {
+          const bylineDiv = document.createElement('div');
+          bylineDiv.className = 'page-byline';
+          bylineDiv.textContent = byline;
+          if (page.description) bylineDiv.title = page.description;
+          infoContainer.appendChild(bylineDiv);
+        }
         infoContainer.appendChild(urlDiv);
         infoContainer.appendChild(infoDiv);
 
@@ -234,7 +297,7 @@ document.addEventListener('DOMContentLoaded', function () {
               return posA - posB;
             });
 
-            page.highlights.forEach(group => {
+            page.highlights.filter(group => !group.orphan).forEach(group => {
               const highlightItem = document.createElement('div');
               highlightItem.className = 'highlight-item';
               highlightItem.style.backgroundColor = group.color;
@@ -244,6 +307,18 @@ document.addEventListener('DOMContentLoaded', function () {
               highlightItem.appendChild(span);
               highlightsContainer.appendChild(highlightItem);
             });
+
+            // Groups that could not be placed on the page last time it was opened
+            const orphans = page.highlights.filter(group => group.orphan);
+            if (orphans.length > 0) {
+              const orphansHeader = document.createElement('div');
+              orphansHeader.className = 'orphans-header';
+              orphansHeader.textContent = getMessage('orphanedHighlights', "Couldn't Place");
+              highlightsContainer.appendChild(orphansHeader);
+              orphans.forEach(group => {
+                highlightsContainer.appendChild(createOrphanItem(page, group));
+              });
+            }
           }
         });
 
@@ -267,6 +342,78 @@ document.addEventListener('DOMContentLoaded', function () {
     }
   }
 
+  // Build a row for a highlight group that could not be placed on its page
+  function createOrphanItem(page, group) {
+    const orphanItem = document.createElement('div');
+    orphanItem.className = 'orphan-item';
+    orphanItem.style.borderLeftColor = group.color;
+
+    const textSpan = document.createElement('span');
+    textSpan.className = 'highlight-text';
+    textSpan.textContent = group.text;
+
+    const reasonDiv = document.createElement('div');
+    reasonDiv.className = 'orphan-reason';
+    reasonDiv.textContent = group.orphan.reason === 'sequenceBroken'
+      ? getMessage('orphanReasonSequenceBroken', 'Only part of the text was found.')
+      : getMessage('orphanReasonTextNotFound', 'The text was not found on the page.');
+
+    const actionsDiv = document.createElement('div');
+    actionsDiv.className = 'orphan-actions';
+
+    const reattachBtn = document.createElement('button');
+    reattachBtn.className = 'btn btn-small';
+    reattachBtn.textContent = getMessage('reattachToSelection', 'Attach to selection');
+    reattachBtn.addEventListener('click', function () {
+      reattachOrphan(page.url, group.groupId);
+    });
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'btn btn-small btn-delete';
+    deleteBtn.textContent = getMessage('deleteHighlight', 'Delete Highlight');
+    deleteBtn.addEventListener('click', function () {
+      deleteOrphan(page.url, group.groupId);
+    });
+
+    actionsDiv.appendChild(reattachBtn);
+    actionsDiv.appendChild(deleteBtn);
+    orphanItem.appendChild(textSpan);
+    orphanItem.appendChild(reasonDiv);
+    orphanItem.appendChild(actionsDiv);
+    return orphanItem;
+  }
+
+  // Re-attach an orphaned group to the selection in the page's open tab
+  function reattachOrphan(url, groupId) {
+    browserAPI.runtime.sendMessage({ action: 'reattachOrphan', url, groupId }, (response) => {
+      if (response && response.success) {
+        debugLog('Orphaned highlight re-attached:', groupId);
+        loadAllHighlightedPages();
+      } else if (response && response.error === 'pageNotOpen') {
+        alert(getMessage('reattachPageNotOpen', 'Open this page in a tab and select the text there first.'));
+      } else {
+        alert(getMessage('reattachNoSelection', 'Select the text on the page first, then try again.'));
+      }
+    });
+  }
+
+  // Delete an orphaned group
+  function deleteOrphan(url, groupId) {
+    browserAPI.runtime.sendMessage({
+      action: 'deleteHighlight',
+      url: url,
+      groupId: groupId,
+      notifyRefresh: true
+    }, (response) => {
+      if (response && response.success) {
+        debugLog('Orphaned highlight deleted:', groupId);
+        loadAllHighlightedPages();
+      } else {
+        debugLog('Error deleting orphaned highlight:', response);
+      }
+    });
+  }
+
   // Delete all highlights for a page
   function deletePageHighlights(url) {
     browserAPI.runtime.sendMessage({
@@ -298,6 +445,118 @@ document.addEventListener('DOMContentLoaded', function () {
     });
   }
 
+  // ============ TRASH ============
+
+  // Show the trash instead of the pages, or back
+  function setTrashView(visible) {
+    trashVisible = visible;
+    trashBtn.classList.toggle('sort-active', visible);
+    pagesContainer.style.display = visible ? 'none' : '';
+    trashView.style.display = visible ? 'block' : 'none';
+    if (visible) {
+      loadTrash();
+    } else {
+      loadAllHighlightedPages();
+    }
+  }
+
+  function loadTrash() {
+    browserAPI.runtime.sendMessage({ action: 'getTrash' }, (response) => {
+      if (!response || !response.success) {
+        debugLog('Error loading trash:', response);
+        return;
+      }
+      trashRetention.textContent = response.retentionDays > 0
+        ? getMessage('trashRetention', `Items are deleted permanently after ${response.retentionDays} days.`, [String(response.retentionDays)])
+        : getMessage('trashKeptForever', 'Items are kept until you delete them.');
+      displayTrash(response.items);
+    });
+  }
+
+  function displayTrash(items) {
+    trashContainer.innerHTML = '';
+    emptyTrashBtn.disabled = items.length === 0;
+    if (items.length === 0) {
+      const emptyDiv = document.createElement('div');
+      emptyDiv.className = 'no-pages';
+      emptyDiv.textContent = getMessage('trashEmpty', 'The trash is empty.');
+      trashContainer.appendChild(emptyDiv);
+      return;
+    }
+
+    const locale = browserAPI.i18n.getUILanguage ? browserAPI.i18n.getUILanguage() : 'en';
+    items.forEach(item => {
+      const itemDiv = document.createElement('div');
+      itemDiv.className = 'page-item';
+
+      const titleDiv = document.createElement('div');
+      titleDiv.className = 'page-title';
+      titleDiv.textContent = (item.page && item.page.title) || item.url;
+
+      const urlDiv = document.createElement('div');
+      urlDiv.className = 'page-url';
+      urlDiv.textContent = item.url;
+
+      const infoDiv = document.createElement('div');
+      infoDiv.className = 'page-info';
+      const kind = item.kind === 'page'
+        ? `${getMessage('trashedPage', 'Page')} | ${getMessage('highlightCount', 'Highlights')}: ${item.groups.length}`
+        : getMessage('trashedHighlight', 'Highlight');
+      infoDiv.textContent = `${kind} | ${getMessage('deletedAt', 'Deleted')}: ${new Date(item.deletedAt).toLocaleString(locale)}`;
+
+      // A few of the deleted texts, to recognize the item
+      const previewDiv = document.createElement('div');
+      previewDiv.className = 'trash-preview';
+      previewDiv.style.borderLeftColor = item.groups[0] ? item.groups[0].color : 'transparent';
+      let preview = item.groups.slice(0, 3).map(group => group.text).join(' … ');
+      if (preview.length > 200) {
+        preview = preview.substring(0, 197) + '...';
+      }
+      previewDiv.textContent = preview;
+
+      const actionsDiv = document.createElement('div');
+      actionsDiv.className = 'page-actions';
+
+      const restoreBtn = document.createElement('button');
+      restoreBtn.className = 'btn btn-view';
+      restoreBtn.textContent = getMessage('restore', 'Restore');
+      restoreBtn.addEventListener('click', () => restoreTrashItem(item.id));
+
+      const deleteBtn = document.createElement('button');
+      deleteBtn.className = 'btn btn-delete';
+      deleteBtn.textContent = getMessage('deletePermanently', 'Delete Permanently');
+      deleteBtn.addEventListener('click', () => {
+        if (confirm(getMessage('confirmDeletePermanently', 'Delete this item permanently? This cannot be undone.'))) {
+          deleteTrashItem(item.id);
+        }
+      });
+
+      actionsDiv.appendChild(restoreBtn);
+      actionsDiv.appendChild(deleteBtn);
+      itemDiv.appendChild(titleDiv);
+      itemDiv.appendChild(urlDiv);
+      itemDiv.appendChild(infoDiv);
+      itemDiv.appendChild(previewDiv);
+      itemDiv.appendChild(actionsDiv);
+      trashContainer.appendChild(itemDiv);
+    });
+  }
+
+  function restoreTrashItem(id) {
+    browserAPI.runtime.sendMessage({ action: 'restoreTrashItem', id }, (response) => {
+      if (response && response.success) {
+        debugLog('Restored from trash:', id, response.restoredCount);
+      } else {
+        debugLog('Error restoring from trash:', response);
+      }
+      loadTrash();
+    });
+  }
+
+  function deleteTrashItem(id) {
+    browserAPI.runtime.sendMessage({ action: 'deleteTrashItem', id }, () => loadTrash());
+  }
+
   // Initialization
   localizeStaticElements();  // Localize static elements
 
@@ -305,16 +564,222 @@ document.addEventListener('DOMContentLoaded', function () {
   const deleteAllBtn = document.getElementById('delete-all-btn');
   const refreshBtn = document.getElementById('refresh-btn');
   const exportAllBtn = document.getElementById('export-all-btn');
+  const exportMarkdownBtn = document.getElementById('export-markdown-btn');
+  const exportCsvBtn = document.getElementById('export-csv-btn');
   const importBtn = document.getElementById('import-btn');
   const importFileInput = document.getElementById('import-file');
   const searchToggleBtn = document.getElementById('search-toggle-btn');
   const searchInput = document.getElementById('search-input');
   const sortBtn = document.getElementById('sort-btn');
+  const trashBtn = document.getElementById('trash-btn');
+  const trashView = document.getElementById('trash-view');
+  const trashContainer = document.getElementById('trash-container');
+  const trashRetention = document.getElementById('trash-retention');
+  const emptyTrashBtn = document.getElementById('empty-trash-btn');
+  let trashVisible = false;
+
+  trashBtn.addEventListener('click', () => setTrashView(!trashVisible));
+  emptyTrashBtn.addEventListener('click', () => {
+    if (confirm(getMessage('confirmEmptyTrash', 'Delete everything in the trash permanently? This cannot be undone.'))) {
+      browserAPI.runtime.sendMessage({ action: 'emptyTrash' }, () => loadTrash());
+    }
+  });
 
   // Search and sort state
   let allPages = [];
   let filteredPages = [];
   let currentSortMode = 'timeDesc'; // 'timeDesc' or 'timeAsc'
+  // Pages checked for the Markdown export
+  const selectedPageUrls = new Set();
+
+  // One section of the import preview: a heading and a row per page
+  function createImportPreviewSection(title, pages) {
+    const section = document.createElement('div');
+    section.className = 'import-preview-section';
+
+    const heading = document.createElement('h3');
+    heading.textContent = `${title} (${pages.length})`;
+    section.appendChild(heading);
+
+    pages.forEach(page => {
+      const row = document.createElement('div');
+      row.className = 'import-preview-page';
+
+      const titleDiv = document.createElement('div');
+      titleDiv.className = 'import-preview-title';
+      titleDiv.textContent = page.title || page.url;
+      titleDiv.title = page.url;
+
+      const countsDiv = document.createElement('div');
+      countsDiv.className = 'import-preview-counts';
+      countsDiv.textContent = page.status === 'add'
+        ? getMessage('importPageNewCounts', `${page.importedCount} highlight(s)`, [String(page.importedCount)])
+        : getMessage(
+          'importPageMergeCounts',
+          `${page.added} new, ${page.conflicts.length} conflicting, ${page.currentCount} stored`,
+          [String(page.added), String(page.conflicts.length), String(page.currentCount)]
+        );
+
+      row.appendChild(titleDiv);
+      row.appendChild(countsDiv);
+
+      // Which copy of each conflicting highlight is kept
+      page.conflicts.forEach(conflict => {
+        const conflictDiv = document.createElement('div');
+        conflictDiv.className = 'import-preview-conflict';
+        const kept = conflict.kept === 'imported'
+          ? getMessage('importKeepImported', 'imported version kept')
+          : getMessage('importKeepCurrent', 'stored version kept');
+        conflictDiv.textContent = `"${conflict.text || ''}" - ${kept}`;
+        row.appendChild(conflictDiv);
+      });
+      section.appendChild(row);
+    });
+    return section;
+  }
+
+  // Default texts of the problems the import file check reports (see export-format.js)
+  const IMPORT_ISSUE_TEXTS = {
+    notAnObject: 'Not a valid entry',
+    invalidUrl: 'Missing or invalid URL',
+    missingHighlights: 'No highlight list',
+    noValidHighlights: 'No usable highlights',
+    noAnchor: 'No text to find it by on the page',
+    missingGroupId: 'Missing id, a new one was given',
+    duplicateGroupId: 'Duplicate id, a new one was given',
+    invalidText: 'Missing text, taken from its anchor',
+    invalidColor: 'Invalid color, replaced with yellow',
+    invalidField: 'Invalid "$1" removed',
+    unknownField: 'Unknown field "$1" removed'
+  };
+
+  function getImportIssueText(issue) {
+    const key = `importIssue${issue.code.charAt(0).toUpperCase()}${issue.code.slice(1)}`;
+    const defaultText = (IMPORT_ISSUE_TEXTS[issue.code] || issue.code).replace('$1', issue.field || '');
+    return getMessage(key, defaultText, issue.field ? [issue.field] : null);
+  }
+
+  function getImportStatusText(status) {
+    if (status === 'rejected') return getMessage('importStatusRejected', 'Rejected');
+    if (status === 'repaired') return getMessage('importStatusRepaired', 'Repaired');
+    return getMessage('importStatusAccepted', 'Accepted');
+  }
+
+  // Result of the file check: a row per page of the file, with what was repaired or rejected
+  function createImportReportSection(report) {
+    const section = document.createElement('div');
+    section.className = 'import-preview-section';
+
+    const counts = { accepted: 0, repaired: 0, rejected: 0 };
+    report.forEach(entry => counts[entry.status]++);
+    const heading = document.createElement('h3');
+    heading.textContent = getMessage(
+      'importReportTitle',
+      `File check: ${counts.accepted} accepted, ${counts.repaired} repaired, ${counts.rejected} rejected`,
+      [String(counts.accepted), String(counts.repaired), String(counts.rejected)]
+    );
+    section.appendChild(heading);
+
+    report.forEach(entry => {
+      const row = document.createElement('div');
+      row.className = `import-preview-page import-report-${entry.status}`;
+
+      const titleDiv = document.createElement('div');
+      titleDiv.className = 'import-preview-title';
+      titleDiv.textContent = `${getImportStatusText(entry.status)}: ${entry.url || `#${entry.index + 1}`}`;
+      titleDiv.title = entry.url;
+      row.appendChild(titleDiv);
+
+      const problems = entry.issues.map(getImportIssueText);
+      entry.highlights
+        .filter(highlight => highlight.status !== 'accepted')
+        .forEach(highlight => {
+          const label = getMessage('importReportHighlight', `Highlight ${highlight.index + 1}`, [String(highlight.index + 1)]);
+          problems.push(`${label} (${getImportStatusText(highlight.status)}): ${highlight.issues.map(getImportIssueText).join(', ')}`);
+        });
+      problems.forEach(problem => {
+        const problemDiv = document.createElement('div');
+        problemDiv.className = 'import-preview-conflict';
+        problemDiv.textContent = problem;
+        row.appendChild(problemDiv);
+      });
+      section.appendChild(row);
+    });
+    return section;
+  }
+
+  /**
+   * Show what an import would change and let the user pick how to apply it.
+   * @param {Array} preview - Pages from the previewImport action
+   * @param {Array} report - File check report from the previewImport action
+   * @returns {Promise<string|null>} 'merge', 'replace', or null when cancelled
+   */
+  function showImportPreview(preview, report) {
+    return new Promise((resolve) => {
+      const modal = document.createElement('div');
+      modal.className = 'custom-modal';
+      const overlay = document.createElement('div');
+      overlay.className = 'modal-overlay';
+      const content = document.createElement('div');
+      content.className = 'modal-content import-preview';
+
+      const title = document.createElement('h2');
+      title.textContent = getMessage('importPreviewTitle', 'Import highlights');
+      content.appendChild(title);
+
+      const sections = [
+        ['add', getMessage('importNewPages', 'New pages')],
+        ['merge', getMessage('importMergedPages', 'Pages to merge')],
+        ['conflict', getMessage('importConflictedPages', 'Pages with conflicts (the more recently edited version is kept)')],
+        ['unchanged', getMessage('importUnchangedPages', 'Pages already up to date')]
+      ];
+      sections.forEach(([status, sectionTitle]) => {
+        const pages = preview.filter(page => page.status === status);
+        if (pages.length > 0) {
+          content.appendChild(createImportPreviewSection(sectionTitle, pages));
+        }
+      });
+      content.appendChild(createImportReportSection(report));
+
+      const buttonsDiv = document.createElement('div');
+      buttonsDiv.className = 'modal-buttons';
+      const buttons = [
+        ['merge', 'modal-btn modal-confirm', getMessage('importMerge', 'Merge')],
+        ['replace', 'modal-btn', getMessage('importReplace', 'Replace')],
+        [null, 'modal-btn modal-cancel', getMessage('cancel', 'Cancel')]
+      ];
+      buttons.forEach(([choice, className, label]) => {
+        const button = document.createElement('button');
+        button.className = className;
+        button.textContent = label;
+        if (choice === 'replace') {
+          button.title = getMessage('importReplaceHint', 'Stored highlights of these pages are deleted and replaced with the imported ones.');
+        }
+        // Nothing in the file passed the check
+        if (choice && preview.length === 0) {
+          button.disabled = true;
+        }
+        button.addEventListener('click', () => close(choice));
+        buttonsDiv.appendChild(button);
+      });
+      content.appendChild(buttonsDiv);
+
+      function escHandler(e) {
+        if (e.key === 'Escape') close(null);
+      }
+      function close(choice) {
+        document.removeEventListener('keydown', escHandler);
+        modal.remove();
+        resolve(choice);
+      }
+      document.addEventListener('keydown', escHandler);
+      overlay.addEventListener('click', () => close(null));
+
+      modal.appendChild(overlay);
+      modal.appendChild(content);
+      document.body.appendChild(modal);
+    });
+  }
 
   // Import highlights event
   if (importBtn && importFileInput) {
@@ -330,42 +795,34 @@ document.addEventListener('DOMContentLoaded', function () {
       reader.onload = function (e) {
         try {
           const json = JSON.parse(e.target.result);
-          if (!json.pages || !Array.isArray(json.pages)) {
-            alert(getMessage('importInvalidFormat', 'Invalid import file format.'));
-            return;
-          }
-          // Get all current storage to check for overlap
-          browserAPI.runtime.sendMessage({ action: 'getAllHighlightedPages' }, (response) => {
-            if (response && response.success) {
-              const existingUrls = response.pages.map(p => p.url);
-              const importUrls = json.pages.map(p => p.url);
-              const overlap = importUrls.filter(url => existingUrls.includes(url));
-              let proceed = true;
-              if (overlap.length > 0) {
-                const confirmMsg = getMessage('importOverwriteConfirm', 'Some pages already have highlights. Existing highlights for those pages will be deleted and replaced with imported data. Proceed?');
-                proceed = confirm(confirmMsg);
-              }
-              if (!proceed) return;
-              // Prepare operations: delete old, add new
-              const ops = {};
-              overlap.forEach(url => {
-                ops[url] = null;
-                ops[`${url}_meta`] = null;
-              });
-              json.pages.forEach(page => {
-                ops[page.url] = page.highlights || [];
-                ops[`${page.url}_meta`] = {
-                  title: page.title || '',
-                  lastUpdated: page.lastUpdated || new Date().toISOString()
-                };
-              });
-              browserAPI.storage.local.set(ops, () => {
-                alert(getMessage('importSuccess', 'Import completed.'));
-                loadAllHighlightedPages();
-              });
-            } else {
+          // The background checks the file and works out what the import would change
+          browserAPI.runtime.sendMessage({ action: 'previewImport', file: json }, async (response) => {
+            if (response && response.error === 'invalidFormat') {
+              alert(getMessage('importInvalidFormat', 'Invalid import file format.'));
+              return;
+            }
+            if (response && response.error === 'unsupportedVersion') {
+              alert(getMessage(
+                'importUnsupportedVersion',
+                `This file was exported in format version ${response.formatVersion}, which this version of the extension cannot read.`,
+                [String(response.formatVersion)]
+              ));
+              return;
+            }
+            if (!response || !response.success) {
               alert(getMessage('importError', 'Error checking existing highlights.'));
+              return;
             }
+            const mode = await showImportPreview(response.pages, response.report);
+            if (!mode) return;
+            browserAPI.runtime.sendMessage({ action: 'importPages', file: json, mode }, (importResponse) => {
+              if (importResponse && importResponse.success) {
+                alert(getMessage('importSuccess', 'Import completed.'));
+              } else {
+                alert(getMessage('importError', 'Error checking existing highlights.'));
+              }
+              loadAllHighlightedPages();
+            });
           });
         } catch (err) {
           alert(getMessage('importInvalidFormat', 'Invalid import file format.'));
@@ -431,14 +888,14 @@ document.addEventListener('DOMContentLoaded', function () {
   // Export all highlights event
   if (exportAllBtn) {
     exportAllBtn.addEventListener('click', function () {
-      browserAPI.runtime.sendMessage({ action: 'getAllHighlightedPages' }, (response) => {
+      // The background writes the file in the current export format (see export-format.js)
+      browserAPI.runtime.sendMessage({ action: 'getExportFile' }, (response) => {
         if (response && response.success) {
-          const exportData = response.pages;
-          if (exportData.length === 0) {
+          if (response.file.pages.length === 0) {
             alert(getMessage('noHighlightsToExport', 'No highlights to export.'));
             return;
           }
-          const blob = new Blob([JSON.stringify({ exportedAt: new Date().toISOString(), pages: exportData }, null, 2)], { type: 'application/json' });
+          const blob = new Blob([JSON.stringify(response.file, null, 2)], { type: 'application/json' });
           const url = URL.createObjectURL(blob);
           const a = document.createElement('a');
           a.href = url;
@@ -454,6 +911,68 @@ document.addEventListener('DOMContentLoaded', function () {
     });
   }
 
+  // Markdown export of the checked pages, or of every page when none is checked
+  if (exportMarkdownBtn) {
+    exportMarkdownBtn.addEventListener('click', function () {
+      const selectedUrls = allPages.map(page => page.url).filter(url => selectedPageUrls.has(url));
+      browserAPI.runtime.sendMessage({
+        action: 'exportMarkdown',
+        urls: selectedUrls.length > 0 ? selectedUrls : null
+      }, (response) => {
+        if (!response || !response.success) {
+          alert(getMessage('exportError', 'Error exporting highlights.'));
+          return;
+        }
+        if (response.pageCount === 0) {
+          alert(getMessage('noHighlightsToExport', 'No highlights to export.'));
+          return;
+        }
+        const blob = new Blob([response.markdown], { type: 'text/markdown' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = 'highlights-' + new Date().getTime() + '.md';
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+      });
+    });
+  }
+
+  // CSV export of the highlights the list shows: with a search active, the pages it found,
+  // and of pages found only by their highlights, just the matching highlights
+  if (exportCsvBtn) {
+    exportCsvBtn.addEventListener('click', function () {
+      const term = normalizeSearchTerm(searchInput.value);
+      const pages = filteredPages.map(page => ({
+        url: page.url,
+        groupIds: !term || pageTitleMatches(page, term)
+          ? null
+          : page.highlights.filter(group => highlightMatches(group, term)).map(group => group.groupId)
+      }));
+      browserAPI.runtime.sendMessage({ action: 'exportCsv', pages }, (response) => {
+        if (!response || !response.success) {
+          alert(getMessage('exportError', 'Error exporting highlights.'));
+          return;
+        }
+        if (response.rowCount === 0) {
+          alert(getMessage('noHighlightsToExport', 'No highlights to export.'));
+          return;
+        }
+        const blob = new Blob([response.csv], { type: 'text/csv;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = 'highlights-' + new Date().getTime() + '.csv';
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+      });
+    });
+  }
+
   // Delete All 버튼 이벤트 연결
   if (deleteAllBtn) {
     deleteAllBtn.addEventListener('click', function () {
@@ -467,7 +986,11 @@ document.addEventListener('DOMContentLoaded', function () {
   // Refresh 버튼 이벤트 연결
   if (refreshBtn) {
     refreshBtn.addEventListener('click', function () {
-      loadAllHighlightedPages();
+      if (trashVisible) {
+        loadTrash();
+      } else {
+        loadAllHighlightedPages();
+      }
     });
   }
 
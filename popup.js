@@ -26,6 +26,28 @@ async function getActiveTab() {
   return tabs[0];
 }
 
+// Settings live in the background's database
+async function getSettings(keys) {
+  const response = await browserAPI.runtime.sendMessage({ action: 'getSettings', keys });
+  return (response && response.settings) || {};
+}
+
+async function setSettings(settings) {
+  await browserAPI.runtime.sendMessage({ action: 'setSettings', settings });
+}
+
+// Storage key of the page shown in a tab, as resolved by the background script
+async function getTabPageKey(tab) {
+  if (!tab.url) return null;
+  try {
+    const response = await browserAPI.runtime.sendMessage({ action: 'getPageKey', tabId: tab.id });
+    if (response && response.pageKey) return response.pageKey;
+  } catch (error) {
+    console.error('Error resolving page key:', error);
+  }
+  return tab.url;
+}
+
 // Internationalization helper
 function initializeI18n() {
   // Get all elements with data-i18n attribute
@@ -201,6 +223,14 @@ function removeModal(modal) {
   }
 }
 
+// Human-readable explanation of why a highlight could not be placed
+function getOrphanReasonMessage(reason) {
+  if (reason === 'sequenceBroken') {
+    return browserAPI.i18n.getMessage('orphanReasonSequenceBroken') || 'Only part of the text was found.';
+  }
+  return browserAPI.i18n.getMessage('orphanReasonTextNotFound') || 'The text was not found on the page.';
+}
+
 document.addEventListener('DOMContentLoaded', async function () {
   // Initialize internationalization first
   initializeI18n();
@@ -215,6 +245,11 @@ document.addEventListener('DOMContentLoaded', async function () {
   const deleteCustomColorsBtn = document.getElementById('delete-custom-colors');
   const minimapToggle = document.getElementById('minimap-toggle');
   const selectionControlsToggle = document.getElementById('selection-controls-toggle');
+  const nonDestructiveToggle = document.getElementById('non-destructive-toggle');
+  const orphansSection = document.getElementById('orphans-section');
+  const orphansContainer = document.getElementById('orphans-container');
+  const undoBtn = document.getElementById('undo-edit');
+  const redoBtn = document.getElementById('redo-edit');
   // Set debug mode - change to true during development
   const DEBUG_MODE = false;
 
@@ -224,11 +259,15 @@ document.addEventListener('DOMContentLoaded', async function () {
   // Load highlight information from current active tab
   async function loadHighlights() {
     const tab = await getActiveTab();
-    const currentUrl = tab.url;
+    const currentUrl = await getTabPageKey(tab);
     if (!currentUrl) return;
 
-    const result = await browserAPI.storage.local.get([currentUrl]);
-    let highlights = result[currentUrl] || [];
+    const response = await browserAPI.runtime.sendMessage({ action: 'getPageHighlights', url: currentUrl });
+    const storedHighlights = (response && response.highlights) || [];
+
+    // Groups that could not be placed on the page are listed separately
+    let highlights = storedHighlights.filter(group => !group.orphan);
+    displayOrphans(storedHighlights.filter(group => group.orphan), tab, currentUrl);
 
     // 그룹 구조이므로 position은 대표 span의 position 사용
     highlights.sort((a, b) => {
@@ -257,6 +296,17 @@ document.addEventListener('DOMContentLoaded', async function () {
         }
         highlightItem.textContent = displayText;
 
+        // Mark highlights that were re-attached to changed page text
+        if (group.anchorStatus === 'approximate') {
+          const confidence = Math.round((group.anchorConfidence || 0) * 100);
+          const approximateBadge = document.createElement('span');
+          approximateBadge.className = 'approximate-badge';
+          approximateBadge.textContent = `≈ ${confidence}%`;
+          approximateBadge.title = browserAPI.i18n.getMessage('approximateHighlight', [String(confidence)]);
+          highlightItem.classList.add('approximate');
+          highlightItem.appendChild(approximateBadge);
+        }
+
         // Add delete button
         const deleteBtn = document.createElement('span');
         deleteBtn.className = 'delete-btn';
@@ -277,9 +327,73 @@ document.addEventListener('DOMContentLoaded', async function () {
     }
   }
 
+  // Display groups that could not be placed on the page
+  function displayOrphans(orphans, tab, url) {
+    orphansContainer.innerHTML = '';
+    orphansSection.style.display = orphans.length > 0 ? 'block' : 'none';
+
+    orphans.forEach(group => {
+      const orphanItem = document.createElement('div');
+      orphanItem.className = 'orphan-item';
+      orphanItem.style.borderLeftColor = group.color;
+
+      const textDiv = document.createElement('div');
+      textDiv.className = 'orphan-text';
+      let displayText = group.text;
+      if (displayText.length > 48) {
+        displayText = displayText.substring(0, 45) + '...';
+      }
+      textDiv.textContent = displayText;
+
+      const reasonDiv = document.createElement('div');
+      reasonDiv.className = 'orphan-reason';
+      reasonDiv.textContent = getOrphanReasonMessage(group.orphan.reason);
+
+      const actionsDiv = document.createElement('div');
+      actionsDiv.className = 'orphan-actions';
+
+      const reattachBtn = document.createElement('button');
+      reattachBtn.className = 'orphan-btn';
+      reattachBtn.textContent = browserAPI.i18n.getMessage('reattachToSelection') || 'Attach to selection';
+      reattachBtn.addEventListener('click', () => reattachOrphan(group.groupId, tab));
+
+      const deleteBtn = document.createElement('button');
+      deleteBtn.className = 'orphan-btn orphan-delete';
+      deleteBtn.textContent = browserAPI.i18n.getMessage('deleteHighlight') || 'Delete';
+      deleteBtn.addEventListener('click', () => deleteHighlight(group.groupId, url));
+
+      actionsDiv.appendChild(reattachBtn);
+      actionsDiv.appendChild(deleteBtn);
+      orphanItem.appendChild(textDiv);
+      orphanItem.appendChild(reasonDiv);
+      orphanItem.appendChild(actionsDiv);
+      orphansContainer.appendChild(orphanItem);
+    });
+  }
+
+  // Re-attach an orphaned group to the text selected on the page
+  async function reattachOrphan(groupId, tab) {
+    let response = null;
+    try {
+      response = await browserAPI.tabs.sendMessage(tab.id, {
+        action: 'reattachOrphan',
+        groupId: groupId
+      });
+    } catch (error) {
+      debugLog('Error re-attaching orphaned highlight:', error);
+    }
+
+    if (response && response.success) {
+      debugLog('Orphaned highlight re-attached:', groupId);
+      await loadHighlights();
+    } else {
+      await showAlertModal(browserAPI.i18n.getMessage('reattachNoSelection') || 'Select the text on the page first, then try again.');
+    }
+  }
+
   // Load minimap settings
   async function loadMinimapSetting() {
-    const result = await browserAPI.storage.local.get(['minimapVisible']);
+    const result = await getSettings(['minimapVisible']);
     // Default value is true (show minimap)
     const isVisible = result.minimapVisible !== undefined ? result.minimapVisible : true;
     minimapToggle.checked = isVisible;
@@ -288,19 +402,27 @@ document.addEventListener('DOMContentLoaded', async function () {
 
   // Load selection controls setting
   async function loadSelectionControlsSetting() {
-    const result = await browserAPI.storage.local.get(['selectionControlsVisible']);
+    const result = await getSettings(['selectionControlsVisible']);
     // Default value is false (don't show controls on selection)
     const isVisible = result.selectionControlsVisible !== undefined ? result.selectionControlsVisible : false;
     selectionControlsToggle.checked = isVisible;
     debugLog('Loaded selection controls setting:', isVisible);
   }
 
+  // Load rendering mode setting
+  async function loadNonDestructiveRenderingSetting() {
+    const result = await getSettings(['nonDestructiveRendering']);
+    // Default value is false (wrap highlighted text in spans)
+    nonDestructiveToggle.checked = result.nonDestructiveRendering || false;
+    debugLog('Loaded non-destructive rendering setting:', nonDestructiveToggle.checked);
+  }
+
   // Save and apply minimap settings to current page
   minimapToggle.addEventListener('change', async function () {
     const isVisible = minimapToggle.checked;
 
     // Save to storage
-    await browserAPI.storage.local.set({ minimapVisible: isVisible });
+    await setSettings({ minimapVisible: isVisible });
     debugLog('Minimap visibility saved:', isVisible);
 
     // Apply settings to current page
@@ -316,7 +438,7 @@ document.addEventListener('DOMContentLoaded', async function () {
     const isVisible = selectionControlsToggle.checked;
 
     // Save to storage
-    await browserAPI.storage.local.set({ selectionControlsVisible: isVisible });
+    await setSettings({ selectionControlsVisible: isVisible });
     debugLog('Selection controls visibility saved:', isVisible);
 
     // Apply settings to current page
@@ -327,6 +449,45 @@ document.addEventListener('DOMContentLoaded', async function () {
     });
   });
 
+  // Save and apply rendering mode to current page
+  nonDestructiveToggle.addEventListener('change', async function () {
+    const enabled = nonDestructiveToggle.checked;
+
+    // Save to storage
+    await setSettings({ nonDestructiveRendering: enabled });
+    debugLog('Non-destructive rendering saved:', enabled);
+
+    // Apply settings to current page
+    const tab = await getActiveTab();
+    await browserAPI.tabs.sendMessage(tab.id, {
+      action: 'setNonDestructiveRendering',
+      enabled: enabled
+    });
+  });
+
+  // Enable the undo/redo buttons when the page has edits to undo/redo
+  async function loadHistoryState() {
+    const tab = await getActiveTab();
+    if (!tab) return;
+    const state = await browserAPI.runtime.sendMessage({ action: 'getHighlightHistoryState', tabId: tab.id });
+    undoBtn.disabled = !(state && state.canUndo);
+    redoBtn.disabled = !(state && state.canRedo);
+  }
+
+  async function runHistoryStep(action) {
+    const tab = await getActiveTab();
+    if (!tab) return;
+    const response = await browserAPI.runtime.sendMessage({ action, tabId: tab.id });
+    if (response) {
+      undoBtn.disabled = !response.canUndo;
+      redoBtn.disabled = !response.canRedo;
+    }
+    await loadHighlights();
+  }
+
+  undoBtn.addEventListener('click', () => runHistoryStep('undoHighlightEdit'));
+  redoBtn.addEventListener('click', () => runHistoryStep('redoHighlightEdit'));
+
   // Delete highlight (그룹 단위)
   async function deleteHighlight(groupId, url) {
     const response = await browserAPI.runtime.sendMessage({
@@ -348,7 +509,7 @@ document.addEventListener('DOMContentLoaded', async function () {
     const confirmed = await showConfirmModal(confirmMessage);
     if (confirmed) {
       const tab = await getActiveTab();
-      const currentUrl = tab.url;
+      const currentUrl = await getTabPageKey(tab);
       if (!currentUrl) return;
       
       const response = await browserAPI.runtime.sendMessage({
@@ -364,6 +525,26 @@ document.addEventListener('DOMContentLoaded', async function () {
     }
   });
 
+  // Copy the highlights of this page as Markdown, to paste into notes
+  document.getElementById('copy-markdown').addEventListener('click', async function () {
+    const tab = await getActiveTab();
+    const currentUrl = await getTabPageKey(tab);
+    if (!currentUrl) return;
+
+    const response = await browserAPI.runtime.sendMessage({ action: 'exportMarkdown', urls: [currentUrl] });
+    if (!response || !response.success || response.pageCount === 0) {
+      await showAlertModal(browserAPI.i18n.getMessage('noHighlightsToExport') || 'No highlights to export.');
+      return;
+    }
+    try {
+      await navigator.clipboard.writeText(response.markdown);
+      await showAlertModal(browserAPI.i18n.getMessage('markdownCopied') || 'Highlights copied as Markdown.');
+    } catch (error) {
+      console.error('Error copying Markdown:', error);
+      await showAlertModal(browserAPI.i18n.getMessage('exportError') || 'Error exporting highlights.');
+    }
+  });
+
   // Delete all custom colors
   deleteCustomColorsBtn.addEventListener('click', async function () {
     debugLog('Deleting all custom colors');
@@ -418,6 +599,11 @@ document.addEventListener('DOMContentLoaded', async function () {
     browserAPI.tabs.create({ url: 'shortcuts-settings.html' });
   });
 
+  // Settings button
+  document.getElementById('open-settings').addEventListener('click', () => {
+    browserAPI.tabs.create({ url: 'settings.html' });
+  });
+
   // Manage custom colors button
   document.getElementById('manage-custom-colors').addEventListener('click', () => {
     const targetUrl = browserAPI.runtime.getURL('color-picker.html');
@@ -447,6 +633,8 @@ document.addEventListener('DOMContentLoaded', async function () {
 
   // Initialization
   await loadHighlights();
+  await loadHistoryState();
   await loadMinimapSetting();
   await loadSelectionControlsSetting();
+  await loadNonDestructiveRenderingSetting();
 });
\ No newline at end of file
@@ -0,0 +1,236 @@
+// Cross-browser compatibility - use chrome API in Chrome, browser API in Firefox
+const browserAPI = (() => {
+  if (typeof browser !== 'undefined') {
+    return browser;
+  }
+  if (typeof chrome !== 'undefined') {
+    return chrome;
+  }
+  throw new Error('Neither browser nor chrome API is available');
+})();
+
+// Function to get messages for multi-language support
+function getMessage(key, defaultValue = '', substitutions = null) {
+  if (browserAPI.i18n) {
+    return browserAPI.i18n.getMessage(key, substitutions) || defaultValue;
+  }
+  return defaultValue;
+}
+
+// Change text of HTML elements to multi-language
+function localizeStaticElements() {
+  const elementsToLocalize = document.querySelectorAll('[data-i18n]');
+  elementsToLocalize.forEach(element => {
+    const key = element.getAttribute('data-i18n');
+    element.textContent = getMessage(key, element.textContent);
+  });
+}
+
+// Add an editable row for a site rule
+function addRuleRow(rule = { domain: '', ignoreParams: [], keepFragment: false }) {
+  const rulesList = document.getElementById('domain-rules');
+  const emptyItem = rulesList.querySelector('.no-rules');
+  if (emptyItem) emptyItem.remove();
+
+  const item = document.createElement('div');
+  item.className = 'rule-item';
+
+  const domainInput = document.createElement('input');
+  domainInput.type = 'text';
+  domainInput.className = 'rule-domain';
+  domainInput.placeholder = getMessage('domainRulePlaceholder', 'example.com');
+  domainInput.value = rule.domain;
+
+  const paramsInput = document.createElement('input');
+  paramsInput.type = 'text';
+  paramsInput.className = 'rule-params';
+  paramsInput.placeholder = getMessage('ignoreParamsPlaceholder', 'ref, page, sort');
+  paramsInput.value = rule.ignoreParams.join(', ');
+
+  const fragmentLabel = document.createElement('label');
+  const fragmentCheckbox = document.createElement('input');
+  fragmentCheckbox.type = 'checkbox';
+  fragmentCheckbox.className = 'rule-keep-fragment';
+  fragmentCheckbox.checked = rule.keepFragment;
+  fragmentLabel.appendChild(fragmentCheckbox);
+  fragmentLabel.appendChild(document.createTextNode(getMessage('keepFragment', 'Keep #')));
+
+  const removeBtn = document.createElement('button');
+  removeBtn.className = 'rule-remove';
+  removeBtn.textContent = '×';
+  removeBtn.title = getMessage('removeDomainRule', 'Remove rule');
+  removeBtn.addEventListener('click', () => {
+    item.remove();
+    if (!rulesList.querySelector('.rule-item')) {
+      showNoRules();
+    }
+  });
+
+  item.appendChild(domainInput);
+  item.appendChild(paramsInput);
+  item.appendChild(fragmentLabel);
+  item.appendChild(removeBtn);
+  rulesList.appendChild(item);
+  return item;
+}
+
+function showNoRules() {
+  const rulesList = document.getElementById('domain-rules');
+  const emptyItem = document.createElement('div');
+  emptyItem.className = 'no-rules';
+  emptyItem.textContent = getMessage('noDomainRules', 'No site rules.');
+  rulesList.appendChild(emptyItem);
+}
+
+// Defaults used when the user has not chosen (matching the background)
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+const DEFAULT_BACKUP_INTERVAL_HOURS = 24;
+const DEFAULT_BACKUP_COUNT = 7;
+
+// Built-in Markdown template, as reported by the background
+let defaultMarkdownTemplate = null;
+
+function showMarkdownTemplate(template) {
+  document.getElementById('markdown-page-template').value = template.page;
+  document.getElementById('markdown-highlight-template').value = template.highlight;
+}
+
+// Load the current settings into the form
+async function loadSettings() {
+  const response = await browserAPI.runtime.sendMessage({ action: 'getUrlNormalizationSettings' });
+  const settings = response.settings;
+
+  document.getElementById('strip-tracking-params').checked = settings.stripTrackingParams;
+  document.getElementById('drop-fragments').checked = settings.dropFragments;
+  document.getElementById('use-canonical').checked = settings.useCanonical;
+
+  document.getElementById('domain-rules').innerHTML = '';
+  if (settings.domainRules.length === 0) {
+    showNoRules();
+  }
+  settings.domainRules.forEach(rule => addRuleRow(rule));
+
+  const stored = await browserAPI.runtime.sendMessage({
+    action: 'getSettings',
+    keys: ['trashRetentionDays', 'backupIntervalHours', 'backupCount', 'showFavicons']
+  });
+  const values = (stored && stored.settings) || {};
+  document.getElementById('trash-retention-days').value =
+    values.trashRetentionDays !== undefined ? values.trashRetentionDays : DEFAULT_TRASH_RETENTION_DAYS;
+  document.getElementById('backup-interval-hours').value =
+    values.backupIntervalHours !== undefined ? values.backupIntervalHours : DEFAULT_BACKUP_INTERVAL_HOURS;
+  document.getElementById('backup-count').value =
+    values.backupCount !== undefined ? values.backupCount : DEFAULT_BACKUP_COUNT;
+  document.getElementById('show-favicons').checked = Boolean(values.showFavicons);
+
+  const markdown = await browserAPI.runtime.sendMessage({ action: 'getMarkdownTemplate' });
+  defaultMarkdownTemplate = markdown.defaultTemplate;
+  showMarkdownTemplate(markdown.template);
+}
+
+// Whole number entered in a field, or the fallback when it is not one of at least `min`
+function readNumberField(id, min, fallback) {
+  const value = parseInt(document.getElementById(id).value, 10);
+  return Number.isFinite(value) && value >= min ? value : fallback;
+}
+
+// Read the form back into a settings object
+function readSettings() {
+  const domainRules = Array.from(document.querySelectorAll('#domain-rules .rule-item')).map(item => ({
+    domain: item.querySelector('.rule-domain').value,
+    ignoreParams: item.querySelector('.rule-params').value.split(','),
+    keepFragment: item.querySelector('.rule-keep-fragment').checked
+  }));
+  return {
+    stripTrackingParams: document.getElementById('strip-tracking-params').checked,
+    dropFragments: document.getElementById('drop-fragments').checked,
+    useCanonical: document.getElementById('use-canonical').checked,
+    domainRules
+  };
+}
+
+// Most re-keyed pages listed in the confirmation before saving
+const NORMALIZATION_PREVIEW_LIMIT = 10;
+
+// Ask before saving settings that would re-key or merge stored pages
+async function confirmNormalization(settings) {
+  const preview = await browserAPI.runtime.sendMessage({ action: 'previewUrlNormalization', settings });
+  if (!preview || !preview.success) {
+    throw new Error(preview && preview.error);
+  }
+  if (preview.changes.length === 0) return true;
+
+  const lines = [];
+  preview.changes.forEach(change => {
+    change.urls.forEach(url => lines.push(`${url}\n  → ${change.pageKey}`));
+  });
+  const shown = lines.slice(0, NORMALIZATION_PREVIEW_LIMIT);
+  if (lines.length > shown.length) {
+    shown.push(getMessage('normalizationMore', `…and ${lines.length - shown.length} more`, [String(lines.length - shown.length)]));
+  }
+  return confirm([
+    getMessage('confirmNormalization', `Saving moves ${lines.length} stored page(s) to a new address, merging pages that end up at the same one. A backup is made first. Continue?`, [String(lines.length)]),
+    '',
+    ...shown
+  ].join('\n'));
+}
+
+// Save the settings; the background merges pages that now share an address
+async function saveSettings() {
+  const status = document.getElementById('settings-status');
+  status.textContent = '';
+  try {
+    const settings = readSettings();
+    if (!await confirmNormalization(settings)) return;
+    const response = await browserAPI.runtime.sendMessage({
+      action: 'saveUrlNormalizationSettings',
+      settings
+    });
+    if (!response || !response.success) {
+      throw new Error(response && response.error);
+    }
+    await browserAPI.runtime.sendMessage({
+      action: 'setSettings',
+      settings: {
+        trashRetentionDays: readNumberField('trash-retention-days', 0, DEFAULT_TRASH_RETENTION_DAYS),
+        backupIntervalHours: readNumberField('backup-interval-hours', 0, DEFAULT_BACKUP_INTERVAL_HOURS),
+        backupCount: readNumberField('backup-count', 1, DEFAULT_BACKUP_COUNT),
+        showFavicons: document.getElementById('show-favicons').checked,
+        markdownTemplate: {
+          page: document.getElementById('markdown-page-template').value,
+          highlight: document.getElementById('markdown-highlight-template').value
+        }
+      }
+    });
+    status.textContent = response.mergedCount > 0
+      ? getMessage('settingsSavedMerged', `Saved. ${response.mergedCount} duplicate page(s) merged.`, [String(response.mergedCount)])
+      : getMessage('settingsSaved', 'Saved.');
+    await loadSettings();
+  } catch (error) {
+    console.error('Error saving settings:', error);
+    alert(getMessage('settingsSaveError', 'Could not save the settings.'));
+  }
+}
+
+document.addEventListener('DOMContentLoaded', async function () {
+  // Enable transition after page load
+  setTimeout(() => {
+    document.body.classList.remove('preload');
+  }, 50);
+
+  localizeStaticElements();
+
+  document.getElementById('add-rule-btn').addEventListener('click', () => {
+    addRuleRow().querySelector('.rule-domain').focus();
+  });
+  document.getElementById('save-settings-btn').addEventListener('click', saveSettings);
+  document.getElementById('open-backups-btn').addEventListener('click', () => {
+    browserAPI.tabs.create({ url: 'backups.html' });
+  });
+  // Takes effect when the settings are saved
+  document.getElementById('reset-markdown-template-btn').addEventListener('click', () => {
+    if (defaultMarkdownTemplate) showMarkdownTemplate(defaultMarkdownTemplate);
+  });
+
+  await loadSettings();
+});
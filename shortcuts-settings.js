@@ -13,6 +13,9 @@ const browserAPI = (() => {
 const isFirefox = typeof browser !== 'undefined';
 const isChrome = !isFirefox && typeof chrome !== 'undefined';
 
+// Undo/redo commands, which have no default shortcut (matching manifest.json)
+const HISTORY_COMMAND_NAMES = ['undo_highlight_edit', 'redo_highlight_edit'];
+
 // Theme change detection and handling
 function initializeThemeWatcher() {
   const darkModeQuery = window.matchMedia('(prefers-color-scheme: dark)');
@@ -63,7 +66,9 @@ async function loadShortcuts() {
     const commands = await browserAPI.commands.getAll();
     
     // Filter and display highlight commands
-    const highlightCommands = commands.filter(cmd => cmd.name.startsWith('highlight_custom_'));
+    const highlightCommands = commands.filter(cmd =>
+      cmd.name.startsWith('highlight_custom_') || HISTORY_COMMAND_NAMES.includes(cmd.name)
+    );
     
     if (highlightCommands.length === 0) {
       shortcutsList.innerHTML = '<div class="shortcut-item"><span>No keyboard shortcuts configured.</span></div>';
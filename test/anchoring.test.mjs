@@ -0,0 +1,91 @@
+// Run with: node --test test/
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import vm from 'node:vm';
+
+const TEXT_NODE = 3;
+const ELEMENT_NODE = 1;
+const NodeFilter = { SHOW_ELEMENT: 1, SHOW_TEXT: 4, FILTER_ACCEPT: 1, FILTER_REJECT: 2, FILTER_SKIP: 3 };
+
+// Just enough of the DOM for TextIndex: elements, text nodes, class selectors and a tree walker
+class FakeText {
+  constructor(text) {
+    this.nodeType = TEXT_NODE;
+    this.nodeValue = text;
+    this.childNodes = [];
+  }
+}
+
+class FakeElement {
+  constructor(tagName, className = '', children = []) {
+    this.nodeType = ELEMENT_NODE;
+    this.tagName = tagName.toUpperCase();
+    this.className = className;
+    this.childNodes = children;
+  }
+
+  matches(selectors) {
+    const classes = this.className.split(/\s+/);
+    return selectors.split(',').some(selector => classes.includes(selector.trim().replace(/^\./, '')));
+  }
+}
+
+function createTreeWalker(root, whatToShow, filter) {
+  const nodes = [];
+  const visit = (node) => {
+    node.childNodes.forEach(child => {
+      const result = filter.acceptNode(child);
+      if (result === NodeFilter.FILTER_ACCEPT) nodes.push(child);
+      if (result !== NodeFilter.FILTER_REJECT) visit(child);
+    });
+  };
+  visit(root);
+  return { nextNode: () => nodes.shift() || null };
+}
+
+async function loadAnchoring() {
+  const context = vm.createContext({
+    document: { createTreeWalker },
+    Node: { TEXT_NODE, ELEMENT_NODE },
+    NodeFilter,
+    debugLog: () => {}
+  });
+  vm.runInContext(await readFile(new URL('../anchoring.js', import.meta.url), 'utf8'), context);
+  return vm.runInContext('({ TextIndex, describeTextRange })', context);
+}
+
+// Undo toast as controls.js appends it to the body after a highlight is deleted
+function createUndoToast() {
+  return new FakeElement('div', 'text-highlighter-toast visible', [
+    new FakeElement('span', 'text-highlighter-toast-text', [new FakeText('Highlight deleted')]),
+    new FakeElement('button', 'text-highlighter-toast-undo', [new FakeText('Undo')])
+  ]);
+}
+
+test('a highlight made while the undo toast shows does not quote the toast', async () => {
+  const { TextIndex, describeTextRange } = await loadAnchoring();
+  const paragraphText = 'The last sentence of the article.';
+  const body = new FakeElement('body', '', [new FakeElement('p', '', [new FakeText(paragraphText)])]);
+  const withoutToast = new TextIndex(body);
+  body.childNodes.push(createUndoToast());
+  const withToast = new TextIndex(body);
+
+  assert.equal(withToast.text, paragraphText);
+  const start = paragraphText.indexOf('article');
+  const end = start + 'article.'.length;
+  const selectors = describeTextRange(withToast, start, end);
+  assert.deepEqual(selectors, describeTextRange(withoutToast, start, end));
+  assert.equal(selectors[0].suffix, '');
+});
+
+test('the undo toast before the page text does not shift text positions', async () => {
+  const { TextIndex, describeTextRange } = await loadAnchoring();
+  const body = new FakeElement('body', '', [createUndoToast(), new FakeElement('p', '', [new FakeText('Quoted words here')])]);
+  const index = new TextIndex(body);
+  const [quote, position] = describeTextRange(index, 0, 'Quoted'.length);
+
+  assert.equal(quote.exact, 'Quoted');
+  assert.equal(quote.prefix, '');
+  assert.deepEqual([position.start, position.end], [0, 6]);
+});
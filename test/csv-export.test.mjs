@@ -0,0 +1,33 @@
+// Run with: node --test test/
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderCsv } from '../csv-export.js';
+
+const group = (groupId, start, text) => ({
+  groupId,
+  text,
+  color: '#FFFF00',
+  spans: [],
+  selectors: [{ type: 'TextPositionSelector', start, end: start + text.length }]
+});
+const page = {
+  url: 'https://example.com/article',
+  title: 'Article',
+  highlights: [group('c', 300, 'third'), group('a', 10, 'first'), group('b', 120, 'second')]
+};
+
+// Data rows of a CSV as [text, position]
+function rowsOf(csv) {
+  return csv.replace(/^\uFEFF/, '').trim().split('\r\n').slice(1)
+    .map(line => line.split(','))
+    .map(fields => [fields[2], fields[6]]);
+}
+
+test('highlights are listed in document order with their position', () => {
+  assert.deepEqual(rowsOf(renderCsv([page], color => color)), [['first', '1'], ['second', '2'], ['third', '3']]);
+});
+
+test('a subset of groups keeps the positions they have on the whole page', () => {
+  const csv = renderCsv([{ ...page, groupIds: ['c', 'b'] }], color => color);
+  assert.deepEqual(rowsOf(csv), [['second', '2'], ['third', '3']]);
+});
@@ -0,0 +1,47 @@
+// Run with: node --test test/
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { validateExportFile, buildExportFile } from '../export-format.js';
+
+const fixtureUrl = new URL('./fixtures/iframe-export.json', import.meta.url);
+
+test('an exported page with iframe highlights is accepted unchanged', async () => {
+  const file = JSON.parse(await readFile(fixtureUrl, 'utf8'));
+  const result = validateExportFile(file);
+
+  assert.equal(result.success, true);
+  assert.deepEqual(result.report.map(entry => entry.status), ['accepted']);
+  assert.deepEqual(result.pages[0].highlights, file.pages[0].highlights);
+});
+
+test('iframe groups keep their frame key through an export and import round trip', async () => {
+  const file = JSON.parse(await readFile(fixtureUrl, 'utf8'));
+  const imported = validateExportFile(file).pages;
+  const exported = JSON.parse(JSON.stringify(buildExportFile(imported)));
+  const reimported = validateExportFile(exported);
+
+  assert.equal(reimported.report[0].status, 'accepted');
+  assert.deepEqual(
+    reimported.pages[0].highlights.map(group => group.frame),
+    [undefined, 'https://charts.example.org/embed/income?theme=light', 'frame:1']
+  );
+});
+
+test('a frame key that is neither a URL nor a frame path is removed', async () => {
+  const file = JSON.parse(await readFile(fixtureUrl, 'utf8'));
+  file.pages[0].highlights[1].frame = 'not a frame';
+  const result = validateExportFile(file);
+
+  assert.equal(result.report[0].highlights[1].status, 'repaired');
+  assert.deepEqual(result.report[0].highlights[1].issues, [{ code: 'invalidField', field: 'frame' }]);
+});
+
+test('frame keys of iframes that share a URL with an earlier iframe are accepted', async () => {
+  const file = JSON.parse(await readFile(fixtureUrl, 'utf8'));
+  file.pages[0].highlights[1].frame = 'https://charts.example.org/embed/income?theme=light 1';
+  const result = validateExportFile(file);
+
+  assert.equal(result.report[0].highlights[1].status, 'accepted');
+  assert.equal(result.pages[0].highlights[1].frame, 'https://charts.example.org/embed/income?theme=light 1');
+});
@@ -0,0 +1,27 @@
+// Run with: node --test test/
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sortByDocumentOrder } from '../markdown-export.js';
+
+const withOffset = (groupId, start) => ({
+  groupId,
+  spans: [{ text: groupId, position: 5000 - start }],
+  selectors: [{ type: 'TextPositionSelector', start, end: start + 10 }]
+});
+const legacy = (groupId, position) => ({ groupId, spans: [{ text: groupId, position }], selectors: [] });
+
+test('groups with text offsets are ordered by offset, not by their pixel position', () => {
+  const sorted = sortByDocumentOrder([withOffset('b', 300), withOffset('a', 20), withOffset('c', 4000)]);
+  assert.deepEqual(sorted.map(group => group.groupId), ['a', 'b', 'c']);
+});
+
+test('old-format groups follow the groups with offsets, ordered by pixel position', () => {
+  const sorted = sortByDocumentOrder([legacy('y', 900), withOffset('b', 1200), legacy('x', 10), withOffset('a', 500)]);
+  assert.deepEqual(sorted.map(group => group.groupId), ['a', 'b', 'x', 'y']);
+});
+
+test('groups are kept together by frame', () => {
+  const framed = { ...withOffset('framed', 0), frame: 'https://example.org/embed' };
+  const sorted = sortByDocumentOrder([framed, withOffset('top', 800)]);
+  assert.deepEqual(sorted.map(group => group.groupId), ['top', 'framed']);
+});
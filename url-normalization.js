@@ -0,0 +1,162 @@
+// Normalization of page URLs into the storage keys highlights are saved under,
+// so the same page reached through different addresses shares its highlights.
+
+// Settings used until the user changes them (stored under the `urlNormalization` key)
+export const DEFAULT_URL_NORMALIZATION = {
+  // Remove the query parameters listed in TRACKING_PARAMS
+  stripTrackingParams: true,
+  // Remove #fragments, except hash-based routes such as #/inbox or #!/page
+  dropFragments: true,
+  // Use the page's <link rel="canonical"> when it points to the same site
+  useCanonical: true,
+  // Per-domain rules: { domain, ignoreParams: ['name', 'prefix*' or '*'], keepFragment }
+  domainRules: []
+};
+
+// Query parameters that only track where a visit came from. A trailing * matches a prefix.
+export const TRACKING_PARAMS = [
+  'utm_*',
+  'fbclid',
+  'gclid',
+  'dclid',
+  'gbraid',
+  'wbraid',
+  'msclkid',
+  'yclid',
+  'twclid',
+  'ttclid',
+  'igshid',
+  'mc_cid',
+  'mc_eid',
+  '_ga',
+  '_gl',
+  '_hsenc',
+  '_hsmi',
+  'mkt_tok',
+  'ref_src',
+  'vero_id',
+  'oly_anon_id',
+  'oly_enc_id'
+];
+
+// Schemes whose URLs are normalized; anything else is used as is
+const NORMALIZED_PROTOCOLS = ['http:', 'https:', 'file:'];
+
+// Fill in missing settings with the defaults and drop malformed domain rules
+export function sanitizeUrlNormalizationSettings(settings) {
+  const merged = { ...DEFAULT_URL_NORMALIZATION, ...(settings || {}) };
+  const domainRules = Array.isArray(merged.domainRules) ? merged.domainRules : [];
+  merged.domainRules = domainRules
+    .filter(rule => rule && typeof rule.domain === 'string' && rule.domain.trim() !== '')
+    .map(rule => ({
+      domain: rule.domain.trim().toLowerCase().replace(/^\*?\./, ''),
+      ignoreParams: (Array.isArray(rule.ignoreParams) ? rule.ignoreParams : [])
+        .map(name => String(name).trim())
+        .filter(name => name !== ''),
+      keepFragment: Boolean(rule.keepFragment)
+    }));
+  return merged;
+}
+
+// Domain rules that apply to a host name (a rule for example.com also covers its subdomains)
+function getDomainRules(settings, hostname) {
+  return settings.domainRules.filter(rule =>
+    hostname === rule.domain || hostname.endsWith(`.${rule.domain}`)
+  );
+}
+
+// Whether a parameter name matches a list of names and prefix* patterns
+function matchesParam(name, patterns) {
+  const lowerName = name.toLowerCase();
+  return patterns.some(pattern => {
+    const lowerPattern = pattern.toLowerCase();
+    if (lowerPattern.endsWith('*')) {
+      return lowerName.startsWith(lowerPattern.slice(0, -1));
+    }
+    return lowerName === lowerPattern;
+  });
+}
+
+// Fragments used for client-side routing identify a different page and are always kept
+function isRouteFragment(hash) {
+  return hash.startsWith('#/') || hash.startsWith('#!');
+}
+
+// Host name without a leading www., used to decide whether a canonical URL is the same site
+function getSiteHost(hostname) {
+  return hostname.replace(/^www\./, '');
+}
+
+// The canonical URL to use instead of the address, or null when it should be ignored
+function getCanonicalUrl(canonicalUrl, pageUrl) {
+  if (!canonicalUrl) return null;
+  let canonical;
+  try {
+    canonical = new URL(canonicalUrl, pageUrl.href);
+  } catch (error) {
+    return null;
+  }
+  if (!['http:', 'https:'].includes(canonical.protocol) ||
+    getSiteHost(canonical.hostname) !== getSiteHost(pageUrl.hostname)) {
+    return null;
+  }
+  return canonical;
+}
+
+/**
+ * Storage key for a page URL.
+ * The result is stable: normalizing a key again returns the same key.
+ * @param {string} url - Page address
+ * @param {Object} settings - Normalization settings (see DEFAULT_URL_NORMALIZATION)
+ * @param {string} [canonicalUrl] - href of the page's <link rel="canonical">, if any
+ * @returns {string} Normalized URL
+ */
+export function normalizePageUrl(url, settings = DEFAULT_URL_NORMALIZATION, canonicalUrl = null) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return url;
+  }
+  if (!NORMALIZED_PROTOCOLS.includes(parsed.protocol)) {
+    return url;
+  }
+
+  if (settings.useCanonical) {
+    const canonical = getCanonicalUrl(canonicalUrl, parsed);
+    if (canonical) {
+      // Hash routes are not part of canonical URLs but still select the page
+      if (isRouteFragment(parsed.hash) && !canonical.hash) {
+        canonical.hash = parsed.hash;
+      }
+      parsed = canonical;
+    }
+  }
+
+  const rules = getDomainRules(settings, parsed.hostname);
+
+  // Query: drop ignored parameters and sort the rest so their order does not matter
+  const ignoredParams = rules.flatMap(rule => rule.ignoreParams);
+  if (settings.stripTrackingParams) {
+    ignoredParams.push(...TRACKING_PARAMS);
+  }
+  const params = Array.from(parsed.searchParams.entries())
+    .filter(([name]) => !matchesParam(name, ignoredParams))
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  parsed.search = params.length > 0 ? new URLSearchParams(params).toString() : '';
+
+  // Fragment
+  const keepFragment = !settings.dropFragments ||
+    rules.some(rule => rule.keepFragment) ||
+    isRouteFragment(parsed.hash);
+  if (!keepFragment || parsed.hash === '#') {
+    parsed.hash = '';
+  }
+
+  // Trailing slash: /article/ and /article are the same page
+  if (parsed.pathname.length > 1 && parsed.pathname.endsWith('/')) {
+    parsed.pathname = parsed.pathname.replace(/\/+$/, '') || '/';
+  }
+
+  return parsed.href;
+}